@@ -7,12 +7,20 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 
 const authRoutes = require('./routes/auth');
 const searchRoutes = require('./routes/search');
+const historyRoutes = require('./routes/history');
+const itemRoutes = require('./routes/item');
+const adminRoutes = require('./routes/admin');
+const apiKeyRoutes = require('./routes/apiKeys');
 const logger = require('./utils/logger');
+const usageTracker = require('./utils/usageTracker');
+const signingKeys = require('./utils/signingKeys');
+const catalog = require('./providers');
+const { createTieredLimiter } = require('./utils/rateLimit');
+const { identifyCaller } = require('./middleware/auth');
 
 const app = express();
 
@@ -32,22 +40,22 @@ app.use(helmet({
 const corsOptions = {
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Accept-Version'],
 };
 app.use(cors(corsOptions));
 
-// Rate limiting - 100 requests per 15 minutes per IP
-const limiter = rateLimit({
+// Rate limiting - per user, API key or IP, with a quota that depends on the plan
+// (100 requests per 15 minutes for anonymous callers)
+const limiter = createTieredLimiter({
+  name: 'global',
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Limit each IP to 100 requests per windowMs
+  tierLimit: 'global',
   message: {
-    error: 'Too many requests from this IP, please try again later.',
+    error: 'Too many requests, please try again later.',
   },
-  standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
-  legacyHeaders: false, // Disable the `X-RateLimit-*` headers
 });
-app.use(limiter);
+app.use(identifyCaller, limiter);
 
 // Logging middleware
 app.use(morgan('combined', { 
@@ -60,19 +68,36 @@ app.use(morgan('combined', {
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Per-account usage statistics (read by the admin routes)
+app.use(usageTracker.middleware);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
+  const catalogStats = catalog.getStats();
+
   res.status(200).json({
-    status: 'OK',
+    status: catalogStats.circuitBreaker?.state === 'open' ? 'DEGRADED' : 'OK',
     message: 'iTunes Search API is running',
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV || 'development',
+    catalogProvider: catalog.name,
+    ...(catalog.name === 'itunes' ? { itunesApi: catalogStats } : { catalog: catalogStats }),
   });
 });
 
+// Public keys for verifying tokens issued by this API
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(signingKeys.getJwks());
+});
+
 // API Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/search/history', historyRoutes);
 app.use('/api/search', searchRoutes);
+app.use('/api/item', itemRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/keys', apiKeyRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -81,8 +106,12 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: '/health',
+      jwks: '/.well-known/jwks.json',
       auth: '/api/auth',
       search: '/api/search',
+      item: '/api/item',
+      admin: '/api/admin',
+      keys: '/api/keys',
     },
     documentation: 'Check README.md for API documentation',
   });
@@ -97,8 +126,29 @@ app.use('*', (req, res) => {
     availableEndpoints: [
       'GET /',
       'GET /health',
+      'GET /.well-known/jwks.json',
+      'POST /api/auth/register',
+      'POST /api/auth/login',
       'POST /api/auth/token',
+      'GET /api/auth/oidc/login',
+      'POST /api/auth/refresh',
+      'POST /api/auth/logout',
+      'POST /api/auth/logout-all',
       'GET /api/search',
+      'GET /api/search/lookup/:itemId',
+      'POST /api/search/lookup/batch',
+      'GET /api/search/federated',
+      'GET /api/search/storefronts',
+      'GET /api/search/suggestions',
+      'GET /api/search/history',
+      'POST /api/search/history',
+      'DELETE /api/search/history',
+      'GET /api/item/:id',
+      'GET /api/item/:id/related',
+      'GET /api/keys',
+      'POST /api/keys',
+      'GET /api/admin/users',
+      'GET /api/admin/usage',
     ],
   });
 });
@@ -1,17 +1,80 @@
 /**
- * JWT Authentication Middleware
- * Handles JWT token verification for protected routes
+ * Authentication Middleware
+ * Handles JWT token and API key verification and role checks for protected routes
  */
 
-const jwt = require('jsonwebtoken');
+const tokenService = require('../utils/tokenService');
+const userStore = require('../utils/userStore');
+const apiKeyStore = require('../utils/apiKeyStore');
+const { hasPermission } = require('../utils/roles');
 const logger = require('../utils/logger');
 
 /**
- * Middleware to verify JWT tokens
- * Extracts token from Authorization header and verifies it
+ * Identify the caller in log entries
+ * API key requests are logged with the key's id instead of a user id
+ * @param {Object} req - Express request object
+ * @returns {Object} - { apiKeyId } or { userId }
+ */
+const describeCaller = (req) => {
+  if (req.user?.apiKeyId) {
+    return { apiKeyId: req.user.apiKeyId };
+  }
+  return { userId: req.user?.userId };
+};
+
+/**
+ * Verify an API key from the X-API-Key header
+ * Adds the key and its owner to req.apiKey and req.user
+ */
+const authenticateApiKey = (rawKey, req, res, next) => {
+  const key = apiKeyStore.verifyKey(rawKey);
+  const owner = key && userStore.findById(key.ownerId);
+
+  if (!key || !owner || owner.disabled) {
+    logger.warn('API key verification failed', {
+      keyId: key?.id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      url: req.originalUrl,
+    });
+
+    return res.status(401).json({
+      error: 'Invalid API Key',
+      message: 'The provided API key is invalid or has been revoked.',
+    });
+  }
+
+  req.apiKey = key;
+  req.user = {
+    authType: 'apiKey',
+    apiKeyId: key.id,
+    ownerId: owner.id,
+    username: owner.username,
+    role: owner.role,
+    plan: owner.plan,
+    scopes: key.scopes,
+  };
+
+  logger.info('API key verified successfully', {
+    apiKeyId: key.id,
+    ip: req.ip,
+  });
+
+  next();
+};
+
+/**
+ * Middleware to verify JWT tokens or API keys
+ * API keys are sent in the X-API-Key header, tokens as "Authorization: Bearer TOKEN"
  * Adds decoded user information to req.user
  */
 const authenticateToken = (req, res, next) => {
+  // Server-to-server clients authenticate with an API key instead of a token
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) {
+    return authenticateApiKey(apiKey, req, res, next);
+  }
+
   // Get the authorization header
   const authHeader = req.headers['authorization'];
   
@@ -33,11 +96,25 @@ const authenticateToken = (req, res, next) => {
   }
 
   try {
-    // Verify the token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify the token and make sure it hasn't been revoked
+    const decoded = tokenService.verifyAccessToken(token);
+
+    // Disabled or deleted accounts lose access immediately
+    const account = userStore.findById(decoded.userId);
+    if (!account || account.disabled) {
+      logger.warn('Access attempt with disabled or deleted account', {
+        userId: decoded.userId,
+        ip: req.ip,
+      });
+
+      return res.status(403).json({
+        error: 'Account Disabled',
+        message: 'This account has been disabled. Please contact an administrator.',
+      });
+    }
     
-    // Add user information to request object
-    req.user = decoded;
+    // Add user information to request object, using the current role
+    req.user = { ...decoded, role: account.role, plan: account.plan, authType: 'token' };
     
     logger.info('Token verified successfully', {
       userId: decoded.userId,
@@ -62,6 +139,13 @@ const authenticateToken = (req, res, next) => {
       });
     }
 
+    if (error.name === 'TokenRevokedError') {
+      return res.status(401).json({
+        error: 'Token Revoked',
+        message: 'This token has been revoked. Please log in again.',
+      });
+    }
+
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
         error: 'Invalid Token',
@@ -90,7 +174,7 @@ const optionalAuth = (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = tokenService.verifyAccessToken(token);
     req.user = decoded;
     logger.info('Optional auth - token verified', { userId: decoded.userId });
   } catch (error) {
@@ -101,7 +185,133 @@ const optionalAuth = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware that identifies the caller without ever rejecting the request
+ * Used ahead of the global rate limiter so it can count per user or API key;
+ * routes still run authenticateToken to enforce authentication
+ */
+const identifyCaller = (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  try {
+    if (apiKey) {
+      const key = apiKeyStore.verifyKey(apiKey);
+      const owner = key && userStore.findById(key.ownerId);
+      if (owner && !owner.disabled) {
+        req.user = { apiKeyId: key.id, ownerId: owner.id, role: owner.role, plan: owner.plan };
+      }
+    } else if (token) {
+      const decoded = tokenService.verifyAccessToken(token);
+      const account = userStore.findById(decoded.userId);
+      if (account && !account.disabled) {
+        req.user = { userId: account.id, role: account.role, plan: account.plan };
+      }
+    }
+  } catch (error) {
+    // Invalid credentials are reported by authenticateToken on protected routes
+  }
+
+  next();
+};
+
+/**
+ * Middleware factory restricting a route to one or more roles
+ * Must run after authenticateToken; API keys never pass role checks
+ * @param {...string} roles - Roles allowed to access the route
+ * @returns {Function} - Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || req.user.authType === 'apiKey' || !roles.includes(req.user.role)) {
+    logger.warn('Access denied - insufficient role', {
+      userId: req.user?.userId,
+      role: req.user?.role,
+      requiredRoles: roles,
+      url: req.originalUrl,
+      ip: req.ip,
+    });
+
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You do not have permission to access this resource.',
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware factory restricting a route to roles that grant a permission
+ * Must run after authenticateToken; API keys never pass permission checks
+ * @param {string} permission - Permission name from utils/roles
+ * @returns {Function} - Express middleware
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user || req.user.authType === 'apiKey' || !hasPermission(req.user.role, permission)) {
+    logger.warn('Access denied - missing permission', {
+      userId: req.user?.userId,
+      role: req.user?.role,
+      permission,
+      url: req.originalUrl,
+      ip: req.ip,
+    });
+
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `This action requires the "${permission}" permission.`,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware factory requiring an API key scope
+ * Token sessions are unaffected; API keys must have been granted the scope
+ * @param {string} scope - Scope name from utils/apiKeyStore
+ * @returns {Function} - Express middleware
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (req.user?.authType === 'apiKey' && !req.user.scopes.includes(scope)) {
+    logger.warn('Access denied - API key missing scope', {
+      apiKeyId: req.user.apiKeyId,
+      scope,
+      url: req.originalUrl,
+      ip: req.ip,
+    });
+
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `This API key does not have the "${scope}" scope.`,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware rejecting API keys on routes that manage the account itself
+ * Must run after authenticateToken
+ */
+const requireUserSession = (req, res, next) => {
+  if (req.user?.authType === 'apiKey') {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'This endpoint requires a user token and cannot be called with an API key.',
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   authenticateToken,
   optionalAuth,
+  identifyCaller,
+  requireRole,
+  requirePermission,
+  requireScope,
+  requireUserSession,
+  describeCaller,
 };
\ No newline at end of file
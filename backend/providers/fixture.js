@@ -0,0 +1,237 @@
+/**
+ * Fixture Catalog Provider
+ * Answers searches and lookups from a local catalog file instead of Apple, so the
+ * whole stack runs offline and returns the same results every time
+ *
+ * The file holds { "items": [...] } in Apple's result format. Requests take the same
+ * parameters as the iTunes API and are answered the way Apple would: a search matches
+ * every word of the term against the item's names, and an expansion lists the items
+ * that share the looked-up item's collection or artist. Every storefront sees the
+ * same catalog.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { getMediaType } = require('../utils/resultModel');
+const { capabilities: itunesCapabilities } = require('./itunes');
+
+const FIXTURE_FILE = process.env.CATALOG_FIXTURE_FILE || path.join(__dirname, '../fixtures/catalog.json');
+
+// Apple's default page size when a request has no limit
+const DEFAULT_LIMIT = 50;
+
+// The fixture takes the same parameters as the iTunes API; it has one catalog for every country
+const capabilities = {
+  ...itunesCapabilities,
+  storefronts: false,
+};
+
+const isKind = (...kinds) => (item) => kinds.includes(item.kind);
+const isCollection = (...types) => (item) => item.wrapperType === 'collection' && types.includes(item.collectionType);
+const isArtist = (...types) => (item) => item.wrapperType === 'artist' && (types.length === 0 || types.includes(item.artistType));
+
+// Which items each entity returns
+const ENTITY_MATCHERS = {
+  song: isKind('song'),
+  musicTrack: isKind('song', 'music-video'),
+  allTrack: (item) => item.wrapperType === 'track' || item.wrapperType === 'podcastEpisode',
+  album: isCollection('Album', 'Compilation'),
+  mix: isCollection('Compilation'),
+  musicVideo: isKind('music-video'),
+  movie: isKind('feature-movie'),
+  shortFilm: isKind('short-film'),
+  tvEpisode: isKind('tv-episode'),
+  tvSeason: isCollection('TV Season'),
+  podcast: isKind('podcast'),
+  podcastEpisode: isKind('podcast-episode'),
+  audiobook: (item) => item.wrapperType === 'audiobook',
+  ebook: isKind('ebook'),
+  software: isKind('software'),
+  iPadSoftware: isKind('software'),
+  macSoftware: isKind('mac-software'),
+  musicArtist: isArtist('Artist'),
+  movieArtist: isArtist('Movie Artist'),
+  podcastAuthor: isArtist('Podcast Artist'),
+  audiobookAuthor: isArtist('Author'),
+  shortFilmArtist: isArtist('Short Film Artist'),
+  allArtist: isArtist(),
+};
+
+// Entity Apple searches when a media type is asked for without one
+const DEFAULT_ENTITIES = {
+  movie: 'movie',
+  podcast: 'podcast',
+  music: 'musicTrack',
+  musicVideo: 'musicVideo',
+  audiobook: 'audiobook',
+  shortFilm: 'shortFilm',
+  tvShow: 'tvEpisode',
+  software: 'software',
+  ebook: 'ebook',
+};
+
+// Parameters that make up the key of each operation's requests
+const REQUEST_FIELDS = {
+  search: ['term', 'media', 'entity', 'limit', 'country', 'explicit'],
+  lookup: ['key', 'values', 'country'],
+  expand: ['id', 'entity', 'limit', 'sort', 'country'],
+};
+
+// Item fields each lookup key matches
+const LOOKUP_FIELDS = {
+  id: ['trackId', 'collectionId', 'artistId'],
+  amgArtistId: ['amgArtistId'],
+  amgAlbumId: ['amgAlbumId'],
+  upc: ['upc'],
+  isbn: ['isbn'],
+};
+
+/**
+ * Read the catalog file; a missing or broken file stops the server from starting
+ * @returns {Array} - Catalog items
+ */
+const loadCatalog = () => {
+  let catalog;
+  try {
+    catalog = JSON.parse(fs.readFileSync(FIXTURE_FILE, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to load the catalog fixture ${FIXTURE_FILE}: ${error.message}`);
+  }
+  if (!Array.isArray(catalog.items)) {
+    throw new Error(`The catalog fixture ${FIXTURE_FILE} must hold an "items" array`);
+  }
+
+  logger.info('Catalog fixture loaded', { file: FIXTURE_FILE, items: catalog.items.length });
+  return catalog.items;
+};
+
+const items = loadCatalog();
+
+/**
+ * Normalize text for matching
+ * @param {string} text - Text
+ * @returns {string} - Lowercased text with single spaces
+ */
+const normalize = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Wrap items in Apple's response format
+ * @param {Array} results - Items
+ * @returns {Object} - { resultCount, results }
+ */
+const toResponse = (results) => ({
+  resultCount: results.length,
+  results,
+});
+
+/**
+ * Whether an item belongs in a search for a media type and entity
+ * Like Apple, an entity that isn't valid for the media type is ignored
+ * @param {Object} item - Catalog item
+ * @param {string} media - Media type
+ * @param {string} entity - Entity, if any
+ * @returns {boolean} - True when the item matches
+ */
+const matchesEntity = (item, media, entity) => {
+  const validEntity = entity && (capabilities.entities[media] || []).includes(entity) ? entity : null;
+  if (validEntity) return ENTITY_MATCHERS[validEntity](item);
+  if (media === 'all') return item.wrapperType !== 'artist';
+  return getMediaType(item) === media && ENTITY_MATCHERS[DEFAULT_ENTITIES[media]](item);
+};
+
+/**
+ * Whether an item is marked explicit
+ * @param {Object} item - Catalog item
+ * @returns {boolean} - True when explicit
+ */
+const isExplicit = (item) => {
+  return item.trackExplicitness === 'explicit' || item.collectionExplicitness === 'explicit';
+};
+
+/**
+ * Search the catalog
+ * @param {Object} params - term, media, entity, limit and explicit
+ * @returns {Promise<Object>} - Matching items, in catalog order
+ */
+const search = async ({ term, media = 'all', entity, limit = DEFAULT_LIMIT, explicit = 'Yes' }) => {
+  const words = normalize(term).split(' ');
+
+  const results = items.filter(item => {
+    if (!matchesEntity(item, media, entity)) return false;
+    if (explicit === 'No' && isExplicit(item)) return false;
+
+    const text = normalize([item.trackName, item.collectionName, item.artistName].join(' '));
+    return words.every(word => text.includes(word));
+  });
+
+  return toResponse(results.slice(0, parseInt(limit) || DEFAULT_LIMIT));
+};
+
+/**
+ * Find items by a lookup key
+ * @param {Object} params - key and values
+ * @returns {Promise<Object>} - One item per value found, in the order asked for
+ */
+const lookup = async ({ key, values }) => {
+  const fields = LOOKUP_FIELDS[key] || [];
+  const results = values
+    .map(value => items.find(item => fields.some(field => String(item[field]) === String(value))))
+    .filter(Boolean);
+
+  return toResponse([...new Set(results)]);
+};
+
+/**
+ * Look up an item with the related items of an entity
+ * @param {Object} params - id, entity, limit and sort
+ * @returns {Promise<Object>} - The item followed by its related items (none when not found)
+ */
+const expand = async ({ id, entity, limit = DEFAULT_LIMIT, sort }) => {
+  const { results: [parent] } = await lookup({ key: 'id', values: [id] });
+  if (!parent) return toResponse([]);
+  if (!entity) return toResponse([parent]);
+
+  const matches = ENTITY_MATCHERS[entity] || (() => false);
+  let related = items.filter(item => item !== parent && matches(item) && (parent.wrapperType === 'artist'
+    ? item.artistId === parent.artistId
+    : Boolean(parent.collectionId) && item.collectionId === parent.collectionId));
+
+  if (sort === 'recent') {
+    related = [...related].sort((a, b) => new Date(b.releaseDate || 0) - new Date(a.releaseDate || 0));
+  }
+
+  return toResponse([parent, ...related.slice(0, parseInt(limit) || DEFAULT_LIMIT)]);
+};
+
+/**
+ * Identify a request; the same parameters give the same key
+ * @param {string} operation - search, lookup or expand
+ * @param {Object} params - Parameters of the operation
+ * @returns {string} - Request key
+ */
+const requestKey = (operation, params) => {
+  const defined = REQUEST_FIELDS[operation]
+    .filter(field => params[field] !== undefined && params[field] !== null)
+    .map(field => [field, String(params[field])]);
+  return `fixture:${operation}?${new URLSearchParams(defined).toString()}`;
+};
+
+/**
+ * State of the fixture for /health
+ * @returns {Object} - File and number of items
+ */
+const getStats = () => ({
+  file: FIXTURE_FILE,
+  items: items.length,
+});
+
+module.exports = {
+  name: 'fixture',
+  capabilities,
+  requestKey,
+  search,
+  lookup,
+  expand,
+  getStats,
+};
@@ -0,0 +1,39 @@
+/**
+ * Catalog Provider
+ * The catalog searches and lookups are answered from, chosen with CATALOG_PROVIDER:
+ * - itunes (default): Apple's iTunes Search API
+ * - fixture: a local catalog file, for working and testing offline
+ *
+ * Routes only talk to the provider; they never build upstream URLs themselves.
+ */
+
+/**
+ * What every provider implements
+ * @typedef {Object} CatalogProvider
+ * @property {string} name - Provider name
+ * @property {Object} capabilities - mediaTypes, entities (per media type), expansionEntities,
+ *   lookupKeys ({ pattern, matchField } per key type), maxResults and storefronts
+ * @property {Function} requestKey - (operation, params) => string identifying the request;
+ *   responses are cached and shared under it
+ * @property {Function} search - ({ term, media, entity, limit, country, explicit }, callerKey) => Promise<Object>
+ * @property {Function} lookup - ({ key, values, country }, callerKey) => Promise<Object>
+ * @property {Function} expand - ({ id, entity, limit, sort, country }, callerKey) => Promise<Object>;
+ *   the item followed by its related items of the entity
+ * @property {Function} getStats - () => Object describing the provider's state for /health
+ *
+ * search, lookup and expand resolve to an iTunes-shaped response: { resultCount, results }
+ */
+
+// Providers by name; only the one in use is loaded
+const PROVIDERS = {
+  itunes: () => require('./itunes'),
+  fixture: () => require('./fixture'),
+};
+
+const providerName = process.env.CATALOG_PROVIDER || 'itunes';
+
+if (!PROVIDERS[providerName]) {
+  throw new Error(`Unknown CATALOG_PROVIDER "${providerName}". Valid providers: ${Object.keys(PROVIDERS).join(', ')}`);
+}
+
+module.exports = PROVIDERS[providerName]();
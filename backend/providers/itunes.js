@@ -0,0 +1,131 @@
+/**
+ * iTunes Catalog Provider
+ * Apple's Search and Lookup APIs, called through the rate-limited iTunes client
+ */
+
+const itunesClient = require('../utils/itunesClient');
+const { ITUNES_SEARCH_ENDPOINT, ITUNES_LOOKUP_ENDPOINT } = itunesClient;
+
+// Valid media types according to iTunes API
+const MEDIA_TYPES = [
+  'all', 'movie', 'podcast', 'music', 'musicVideo',
+  'audiobook', 'shortFilm', 'tvShow', 'software', 'ebook'
+];
+
+// Valid entities for different media types
+const MEDIA_ENTITIES = {
+  movie: ['movieArtist', 'movie'],
+  podcast: ['podcastAuthor', 'podcast'],
+  music: ['musicArtist', 'musicTrack', 'album', 'musicVideo', 'mix', 'song'],
+  musicVideo: ['musicArtist', 'musicVideo'],
+  audiobook: ['audiobookAuthor', 'audiobook'],
+  shortFilm: ['shortFilmArtist', 'shortFilm'],
+  tvShow: ['tvEpisode', 'tvSeason'],
+  software: ['software', 'iPadSoftware', 'macSoftware'],
+  ebook: ['ebook'],
+  all: ['movie', 'album', 'allArtist', 'podcast', 'musicVideo', 'mix', 'audiobook', 'tvSeason', 'allTrack']
+};
+
+// Entities a lookup can expand an item into
+const EXPANSION_ENTITIES = [
+  'album', 'song', 'musicTrack', 'musicVideo', 'movie', 'podcast', 'audiobook',
+  'ebook', 'software', 'tvSeason', 'tvEpisode', 'podcastEpisode'
+];
+
+// Keys items can be looked up by. Types with a matchField are looked up many at a time
+// and matched back through that field; iTunes results don't echo the others, so those
+// are looked up one value per call
+const LOOKUP_KEYS = {
+  id: { pattern: /^\d+$/, matchField: item => item.trackId || item.collectionId || item.artistId },
+  amgArtistId: { pattern: /^\d+$/, matchField: item => item.amgArtistId },
+  amgAlbumId: { pattern: /^\d+$/ },
+  upc: { pattern: /^\d{12,14}$/ },
+  isbn: { pattern: /^(\d{9}[\dX]|\d{13})$/ },
+};
+
+const capabilities = {
+  mediaTypes: MEDIA_TYPES,
+  entities: MEDIA_ENTITIES,
+  expansionEntities: EXPANSION_ENTITIES,
+  lookupKeys: LOOKUP_KEYS,
+  // iTunes can't skip results; a search returns at most this many
+  maxResults: 200,
+  // Prices and availability differ per country
+  storefronts: true,
+};
+
+/**
+ * Build iTunes API URL with proper encoding
+ * @param {Object} params - Search parameters
+ * @returns {string} - Formatted iTunes API URL
+ */
+const buildSearchUrl = (params) => {
+  const searchParams = new URLSearchParams();
+
+  // Required term parameter
+  searchParams.append('term', params.term.trim());
+
+  // Optional parameters with defaults
+  searchParams.append('media', params.media || 'all');
+  searchParams.append('limit', params.limit || '50');
+  searchParams.append('country', params.country || 'US');
+  searchParams.append('explicit', params.explicit || 'Yes');
+
+  // Add entity if specified and valid for the media type
+  if (params.entity) {
+    const mediaType = params.media || 'all';
+    const validEntities = MEDIA_ENTITIES[mediaType] || [];
+    if (validEntities.includes(params.entity)) {
+      searchParams.append('entity', params.entity);
+    }
+  }
+
+  return `${ITUNES_SEARCH_ENDPOINT}?${searchParams.toString()}`;
+};
+
+/**
+ * Build the iTunes API URL of a request
+ * @param {string} operation - search, lookup or expand
+ * @param {Object} params - Parameters of the operation (see providers/index.js)
+ * @returns {string} - iTunes API URL
+ */
+const requestKey = (operation, params) => {
+  if (operation === 'search') {
+    return buildSearchUrl(params);
+  }
+
+  if (operation === 'lookup') {
+    // Values are validated against LOOKUP_KEYS, so they need no encoding
+    const country = params.country ? `&country=${encodeURIComponent(params.country)}` : '';
+    return `${ITUNES_LOOKUP_ENDPOINT}?${params.key}=${params.values.join(',')}${country}`;
+  }
+
+  const lookupParams = new URLSearchParams({ id: params.id });
+  if (params.entity) lookupParams.append('entity', params.entity);
+  if (params.limit) lookupParams.append('limit', parseInt(params.limit));
+  if (params.sort) lookupParams.append('sort', params.sort);
+  if (params.country) lookupParams.append('country', params.country);
+  return `${ITUNES_LOOKUP_ENDPOINT}?${lookupParams.toString()}`;
+};
+
+/**
+ * Call the iTunes API, waiting for a turn when the request budget is used up
+ * @param {string} operation - search, lookup or expand
+ * @param {Object} params - Parameters of the operation
+ * @param {string} callerKey - Who the request is made for
+ * @returns {Promise<Object>} - Raw iTunes response ({ resultCount, results })
+ */
+const request = async (operation, params, callerKey) => {
+  const response = await itunesClient.get(requestKey(operation, params), callerKey);
+  return response.data;
+};
+
+module.exports = {
+  name: 'itunes',
+  capabilities,
+  requestKey,
+  search: (params, callerKey) => request('search', params, callerKey),
+  lookup: (params, callerKey) => request('lookup', params, callerKey),
+  expand: (params, callerKey) => request('expand', params, callerKey),
+  getStats: itunesClient.getStats,
+};
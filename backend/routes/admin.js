@@ -0,0 +1,251 @@
+/**
+ * Admin Routes
+ * Account management and usage reporting for operators
+ */
+
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, VALID_ROLES } = require('../utils/roles');
+const { VALID_PLANS, RATE_LIMIT_TIERS } = require('../utils/rateLimit');
+const userStore = require('../utils/userStore');
+const tokenService = require('../utils/tokenService');
+const usageTracker = require('../utils/usageTracker');
+const signingKeys = require('../utils/signingKeys');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Every admin endpoint requires a token; each route then checks the permission it needs
+router.use(authenticateToken);
+
+/**
+ * Reject changes an admin tries to make to their own account,
+ * so the last admin can't lock themselves out
+ */
+const rejectSelfChange = (req, res) => {
+  if (req.params.id !== req.user.userId) return false;
+
+  res.status(400).json({
+    error: 'Invalid Operation',
+    message: 'You cannot change the role or status of your own account',
+  });
+  return true;
+};
+
+/**
+ * GET /api/admin/users
+ * List user accounts
+ *
+ * Query Parameters:
+ * - role (optional): Only users with this role
+ * - status (optional): "active" or "disabled"
+ */
+router.get('/users', requirePermission(PERMISSIONS.USERS_READ), (req, res) => {
+  const { role, status } = req.query;
+
+  const users = userStore.listUsers().filter(user => {
+    if (role && user.role !== role) return false;
+    if (status === 'active' && user.disabled) return false;
+    if (status === 'disabled' && !user.disabled) return false;
+    return true;
+  });
+
+  res.json({
+    success: true,
+    users,
+    metadata: {
+      count: users.length,
+      validRoles: VALID_ROLES,
+      validPlans: VALID_PLANS,
+    },
+  });
+});
+
+/**
+ * GET /api/admin/users/:id
+ * Get a single user account with its usage
+ */
+router.get('/users/:id', requirePermission(PERMISSIONS.USERS_READ), (req, res) => {
+  const user = userStore.toPublicUser(userStore.findById(req.params.id));
+
+  if (!user) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `No user found with ID: ${req.params.id}`,
+    });
+  }
+
+  res.json({
+    success: true,
+    user,
+    usage: usageTracker.getUsage(user.id).users[0] || null,
+  });
+});
+
+/**
+ * PATCH /api/admin/users/:id/role
+ * Change the role of a user
+ *
+ * Body:
+ * - role (required): One of the valid roles
+ */
+router.patch('/users/:id/role', requirePermission(PERMISSIONS.USERS_MANAGE), (req, res) => {
+  const { role } = req.body || {};
+
+  if (!VALID_ROLES.includes(role)) {
+    return res.status(400).json({
+      error: 'Invalid Parameters',
+      message: `Invalid role. Valid roles: ${VALID_ROLES.join(', ')}`,
+    });
+  }
+
+  if (rejectSelfChange(req, res)) return;
+
+  const user = userStore.updateUser(req.params.id, { role });
+  if (!user) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `No user found with ID: ${req.params.id}`,
+    });
+  }
+
+  logger.info('User role changed', {
+    userId: user.id,
+    role,
+    changedBy: req.user.userId,
+  });
+
+  res.json({
+    success: true,
+    message: `Role changed to ${role}`,
+    user,
+  });
+});
+
+/**
+ * PATCH /api/admin/users/:id/plan
+ * Move a user to another plan, which changes their rate limits
+ *
+ * Body:
+ * - plan (required): One of the valid plans
+ */
+router.patch('/users/:id/plan', requirePermission(PERMISSIONS.USERS_MANAGE), (req, res) => {
+  const { plan } = req.body || {};
+
+  if (!VALID_PLANS.includes(plan)) {
+    return res.status(400).json({
+      error: 'Invalid Parameters',
+      message: `Invalid plan. Valid plans: ${VALID_PLANS.join(', ')}`,
+    });
+  }
+
+  const user = userStore.updateUser(req.params.id, { plan });
+  if (!user) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `No user found with ID: ${req.params.id}`,
+    });
+  }
+
+  logger.info('User plan changed', {
+    userId: user.id,
+    plan,
+    changedBy: req.user.userId,
+  });
+
+  res.json({
+    success: true,
+    message: `Plan changed to ${plan}`,
+    user,
+    rateLimits: RATE_LIMIT_TIERS[plan],
+  });
+});
+
+/**
+ * PATCH /api/admin/users/:id/status
+ * Disable or re-enable a user account
+ * Disabling also revokes all of the user's sessions
+ *
+ * Body:
+ * - disabled (required): true to disable, false to re-enable
+ */
+router.patch('/users/:id/status', requirePermission(PERMISSIONS.USERS_MANAGE), (req, res) => {
+  const { disabled } = req.body || {};
+
+  if (typeof disabled !== 'boolean') {
+    return res.status(400).json({
+      error: 'Invalid Parameters',
+      message: 'The "disabled" field must be true or false',
+    });
+  }
+
+  if (rejectSelfChange(req, res)) return;
+
+  const user = userStore.updateUser(req.params.id, { disabled });
+  if (!user) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `No user found with ID: ${req.params.id}`,
+    });
+  }
+
+  const sessionsRevoked = disabled ? tokenService.revokeAllForUser(user.id) : 0;
+
+  logger.info(disabled ? 'User account disabled' : 'User account enabled', {
+    userId: user.id,
+    sessionsRevoked,
+    changedBy: req.user.userId,
+  });
+
+  res.json({
+    success: true,
+    message: disabled ? 'Account disabled' : 'Account enabled',
+    user,
+    sessionsRevoked,
+  });
+});
+
+/**
+ * GET /api/admin/usage
+ * Request counts per account since the server started
+ *
+ * Query Parameters:
+ * - userId (optional): Only report this account
+ */
+router.get('/usage', requirePermission(PERMISSIONS.USAGE_READ), (req, res) => {
+  res.json({
+    success: true,
+    usage: usageTracker.getUsage(req.query.userId),
+    metadata: {
+      generatedAt: new Date().toISOString(),
+    },
+  });
+});
+
+/**
+ * GET /api/admin/signing-keys
+ * List the JWT signing keys that can currently verify tokens
+ */
+router.get('/signing-keys', requirePermission(PERMISSIONS.SIGNING_KEYS_MANAGE), (req, res) => {
+  res.json({
+    success: true,
+    keys: signingKeys.listKeys(),
+  });
+});
+
+/**
+ * POST /api/admin/signing-keys/rotate
+ * Start signing with a new key now; the old key keeps verifying during the overlap window
+ */
+router.post('/signing-keys/rotate', requirePermission(PERMISSIONS.SIGNING_KEYS_MANAGE), (req, res) => {
+  const key = signingKeys.rotateKeys(`requested by ${req.user.userId}`);
+
+  res.json({
+    success: true,
+    message: 'Signing key rotated',
+    key,
+    keys: signingKeys.listKeys(),
+  });
+});
+
+module.exports = router;
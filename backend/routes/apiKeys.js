@@ -0,0 +1,111 @@
+/**
+ * API Key Routes
+ * Lets an account create, list and revoke keys for server-to-server clients
+ */
+
+const express = require('express');
+const { authenticateToken, requireUserSession } = require('../middleware/auth');
+const apiKeyStore = require('../utils/apiKeyStore');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Keys are managed with a user token, never with another key
+router.use(authenticateToken, requireUserSession);
+
+/**
+ * POST /api/keys
+ * Create a new API key for the current account
+ * The raw key is only returned in this response
+ *
+ * Body:
+ * - name (required): Label for the key, e.g. "nightly catalog sync"
+ * - scopes (optional): Any of "search", "lookup" (default: all)
+ * - rateLimit (optional): Requests per minute for this key (default: 60)
+ */
+router.post('/', (req, res) => {
+  const { name, scopes, rateLimit } = req.body || {};
+
+  const validation = apiKeyStore.validateKeyParams({ name, scopes, rateLimit });
+  if (!validation.isValid) {
+    return res.status(400).json({
+      error: 'Invalid Parameters',
+      message: 'One or more API key fields are invalid',
+      errors: validation.errors,
+      validScopes: apiKeyStore.API_KEY_SCOPES,
+    });
+  }
+
+  const apiKey = apiKeyStore.createKey({
+    ownerId: req.user.userId,
+    name,
+    scopes,
+    rateLimit,
+  });
+
+  logger.info('API key created', {
+    apiKeyId: apiKey.id,
+    userId: req.user.userId,
+    scopes: apiKey.scopes,
+    rateLimit: apiKey.rateLimit,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'API key created. Store it now - it will not be shown again.',
+    apiKey,
+  });
+});
+
+/**
+ * GET /api/keys
+ * List the current account's keys (admins may pass ownerId=all or another user id)
+ */
+router.get('/', (req, res) => {
+  let ownerId = req.user.userId;
+  if (req.user.role === 'admin' && req.query.ownerId) {
+    ownerId = req.query.ownerId === 'all' ? undefined : req.query.ownerId;
+  }
+
+  const keys = apiKeyStore.listKeys(ownerId);
+
+  res.json({
+    success: true,
+    keys,
+    metadata: {
+      count: keys.length,
+      validScopes: apiKeyStore.API_KEY_SCOPES,
+    },
+  });
+});
+
+/**
+ * DELETE /api/keys/:id
+ * Revoke a key owned by the current account (admins may revoke any key)
+ */
+router.delete('/:id', (req, res) => {
+  const existing = apiKeyStore.findById(req.params.id);
+
+  if (!existing || (existing.ownerId !== req.user.userId && req.user.role !== 'admin')) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `No API key found with ID: ${req.params.id}`,
+    });
+  }
+
+  const apiKey = apiKeyStore.revokeKey(existing.id);
+
+  logger.info('API key revoked', {
+    apiKeyId: apiKey.id,
+    ownerId: apiKey.ownerId,
+    revokedBy: req.user.userId,
+  });
+
+  res.json({
+    success: true,
+    message: 'API key revoked',
+    apiKey,
+  });
+});
+
+module.exports = router;
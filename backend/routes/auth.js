@@ -1,68 +1,187 @@
 /**
  * Authentication Routes
- * Handles JWT token generation and authentication endpoints
+ * Handles account registration, login and JWT token endpoints
  */
 
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
 const logger = require('../utils/logger');
+const userStore = require('../utils/userStore');
+const tokenService = require('../utils/tokenService');
+const oidcClient = require('../utils/oidcClient');
+const { createStore } = require('../utils/rateLimit');
+const { authenticateToken, requireUserSession } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Rate limiting for auth endpoints - more restrictive
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 10, // Limit each IP to 10 auth requests per windowMs
+  max: 10, // Limit each IP to 10 failed auth requests per windowMs
+  store: createStore('auth'),
   message: {
     error: 'Too many authentication attempts, please try again later.',
   },
   skipSuccessfulRequests: true,
 });
 
+// Failed logins per username, whichever IPs they come from, so one account can't be
+// brute-forced from many addresses
+const loginFailureLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // Limit each username to 10 failed logins per windowMs
+  keyGenerator: (req) => String(req.body.username).toLowerCase(),
+  skip: (req) => typeof req.body?.username !== 'string',
+  store: createStore('login-failures'),
+  message: {
+    error: 'Too many failed logins for this account, please try again later.',
+  },
+  skipSuccessfulRequests: true,
+});
+
 /**
- * POST /api/auth/token
- * Generate a JWT token for API access
- * 
- * No authentication required - this is the entry point
- * In a real application, this would validate user credentials
+ * Build the success response for a freshly issued token pair
+ * @param {Object} user - Public user record
+ * @param {string} message - Response message
+ * @param {string} familyId - Refresh token family to continue (new session when omitted)
+ * @returns {Object} - Token response body
+ */
+const buildTokenResponse = (user, message, familyId) => {
+  const { token, expiresIn } = tokenService.signAccessToken(user);
+  const { refreshToken, refreshExpiresAt } = tokenService.issueRefreshToken(user, familyId);
+
+  return {
+    success: true,
+    message,
+    token,
+    tokenType: 'Bearer',
+    expiresIn,
+    refreshToken,
+    refreshExpiresAt,
+    user: {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+    },
+  };
+};
+
+/**
+ * POST /api/auth/register
+ * Create a new user account
+ *
+ * Body:
+ * - username (required): 3-32 characters, letters, numbers, ".", "_" or "-"
+ * - password (required): 8-128 characters
  */
-router.post('/token', authLimiter, (req, res) => {
+router.post('/register', authLimiter, async (req, res) => {
   try {
-    
-    // For this demo, we'll generate a token for any request
-    const payload = {
-      userId: 'demo-user-' + Date.now(),
-      username: 'demo-user',
-      role: 'user',
-    };
+    const { username, password } = req.body || {};
 
-    // Generate JWT token
-    const token = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: '24h',
-      issuer: 'itunes-search-api',
-      audience: 'itunes-search-client',
-    });
+    const validation = userStore.validateCredentials({ username, password });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid Parameters',
+        message: 'One or more registration fields are invalid',
+        errors: validation.errors,
+      });
+    }
 
-    logger.info('JWT token generated', {
-      userId: payload.userId,
+    const user = await userStore.createUser({ username, password });
+
+    logger.info('User registered', {
+      userId: user.id,
+      username: user.username,
       ip: req.ip,
-      userAgent: req.get('User-Agent'),
     });
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'Token generated successfully',
-      token,
-      tokenType: 'Bearer',
-      expiresIn: '24h',
+      message: 'Account created successfully',
       user: {
-        id: payload.userId,
-        username: payload.username,
-        role: payload.role,
+        id: user.id,
+        username: user.username,
+        role: user.role,
       },
     });
 
+  } catch (error) {
+    if (error.name === 'ConflictError') {
+      logger.warn('Registration rejected - username taken', {
+        username: req.body?.username,
+        ip: req.ip,
+      });
+
+      return res.status(409).json({
+        error: 'Username Taken',
+        message: error.message,
+      });
+    }
+
+    logger.error('User registration failed', {
+      error: error.message,
+      stack: error.stack,
+      ip: req.ip,
+    });
+
+    res.status(500).json({
+      error: 'Registration Failed',
+      message: 'Unable to create account',
+    });
+  }
+});
+
+/**
+ * Exchange a username and password for a JWT token
+ * Shared by POST /api/auth/token and POST /api/auth/login
+ */
+const issueTokenForCredentials = async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+
+    if (!username || !password) {
+      return res.status(400).json({
+        error: 'Missing Credentials',
+        message: 'Please provide a username and password',
+      });
+    }
+
+    const user = await userStore.authenticate(username, password);
+    if (!user) {
+      logger.warn('Login failed - invalid credentials', {
+        username,
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+      });
+
+      return res.status(401).json({
+        error: 'Invalid Credentials',
+        message: 'The username or password is incorrect',
+      });
+    }
+
+    if (user.disabled) {
+      logger.warn('Login rejected - account disabled', {
+        userId: user.id,
+        ip: req.ip,
+      });
+
+      return res.status(403).json({
+        error: 'Account Disabled',
+        message: 'This account has been disabled. Please contact an administrator.',
+      });
+    }
+
+    const response = buildTokenResponse(user, 'Token generated successfully');
+
+    logger.info('JWT token generated', {
+      userId: user.id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
+
+    res.json(response);
+
   } catch (error) {
     logger.error('Token generation failed', {
       error: error.message,
@@ -75,93 +194,290 @@ router.post('/token', authLimiter, (req, res) => {
       message: 'Unable to generate authentication token',
     });
   }
+};
+
+/**
+ * POST /api/auth/token
+ * Generate a JWT token for API access
+ *
+ * Body:
+ * - username (required): Account username
+ * - password (required): Account password
+ */
+router.post('/token', authLimiter, loginFailureLimiter, issueTokenForCredentials);
+
+/**
+ * POST /api/auth/login
+ * Alias of /token for login forms
+ */
+router.post('/login', authLimiter, loginFailureLimiter, issueTokenForCredentials);
+
+/**
+ * Respond with 503 when no identity provider is configured
+ */
+const requireOidcConfigured = (req, res, next) => {
+  if (!oidcClient.isConfigured()) {
+    return res.status(503).json({
+      error: 'Not Configured',
+      message: 'Single sign-on is not configured on this server',
+    });
+  }
+
+  next();
+};
+
+// Cookie holding the login in progress, tying it to the browser that started it
+const OIDC_STATE_COOKIE = 'oidc_state';
+
+/**
+ * Options of the state cookie, scoped to the OIDC routes
+ * @param {Object} req - Express request
+ * @returns {Object} - Cookie options
+ */
+const getStateCookieOptions = (req) => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: req.secure,
+  path: `${req.baseUrl}/oidc`,
 });
 
 /**
- * POST /api/auth/refresh
- * Refresh an existing JWT token
- * 
- * Requires valid JWT token
- * Returns a new token with extended expiration
+ * Read a cookie from the request
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} - Cookie value
  */
-router.post('/refresh', authLimiter, (req, res) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+const readCookie = (req, name) => {
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim().split('='))
+    .find(([key]) => key === name);
+
+  return cookie ? decodeURIComponent(cookie.slice(1).join('=')) : null;
+};
+
+/**
+ * GET /api/auth/oidc/login
+ * Start a single sign-on login with the configured OIDC issuer
+ * Redirects to the identity provider (authorization code + PKCE) and stores the login in
+ * an encrypted httpOnly cookie, which the callback must present
+ *
+ * Query Parameters:
+ * - mode (optional): "json" to return the authorization URL instead of redirecting
+ */
+router.get('/oidc/login', authLimiter, requireOidcConfigured, async (req, res) => {
+  try {
+    const { authorizationUrl, loginCookie } = await oidcClient.createAuthorizationRequest();
+
+    res.cookie(OIDC_STATE_COOKIE, loginCookie, {
+      ...getStateCookieOptions(req),
+      maxAge: oidcClient.PENDING_LOGIN_TTL_MS,
+    });
+
+    logger.info('OIDC login started', {
+      issuer: oidcClient.OIDC_CONFIG.issuer,
+      ip: req.ip,
+    });
+
+    if (req.query.mode === 'json') {
+      return res.json({
+        success: true,
+        authorizationUrl,
+      });
+    }
+
+    res.redirect(authorizationUrl);
+
+  } catch (error) {
+    logger.error('OIDC login could not be started', {
+      error: error.message,
+      issuer: oidcClient.OIDC_CONFIG.issuer,
+      ip: req.ip,
+    });
+
+    res.status(502).json({
+      error: 'Identity Provider Unavailable',
+      message: 'Unable to reach the identity provider. Please try again later.',
+    });
+  }
+});
+
+/**
+ * GET /api/auth/oidc/callback
+ * Redirect target of the identity provider
+ * Verifies the login, links it to a local account and issues the app's own tokens
+ *
+ * Query Parameters (set by the identity provider):
+ * - code: Authorization code
+ * - state: State created by /oidc/login; must match the login cookie
+ * - error (optional): Error reported by the identity provider
+ */
+router.get('/oidc/callback', authLimiter, requireOidcConfigured, async (req, res) => {
+  const { code, state, error: providerError } = req.query;
+  const loginCookie = readCookie(req, OIDC_STATE_COOKIE);
+
+  // The login is single use, whatever the outcome
+  res.clearCookie(OIDC_STATE_COOKIE, getStateCookieOptions(req));
+
+  if (providerError) {
+    logger.warn('OIDC login rejected by identity provider', {
+      error: providerError,
+      description: req.query.error_description,
+      ip: req.ip,
+    });
 
-  if (!token) {
     return res.status(401).json({
-      error: 'No Token Provided',
-      message: 'Please provide a token to refresh',
+      error: 'Login Failed',
+      message: req.query.error_description || `The identity provider returned "${providerError}"`,
     });
   }
 
   try {
-    // Verify the current token (allow expired tokens for refresh)
-    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
-      ignoreExpiration: true,
-    });
+    const claims = await oidcClient.handleCallback(code, state, loginCookie);
+    const issuer = oidcClient.OIDC_CONFIG.issuer;
 
-    // Check if token is too old to refresh (e.g., more than 7 days old)
-    const tokenAge = Math.floor(Date.now() / 1000) - decoded.iat;
-    const maxRefreshAge = 7 * 24 * 60 * 60; // 7 days
+    let user = userStore.toPublicUser(userStore.findByExternalIdentity(issuer, claims.sub));
+    if (!user) {
+      user = userStore.createExternalUser({
+        issuer,
+        subject: claims.sub,
+        preferredUsername: claims.preferred_username,
+        email: claims.email,
+      });
 
-    if (tokenAge > maxRefreshAge) {
-      logger.warn('Token too old for refresh', {
-        userId: decoded.userId,
-        tokenAge,
+      logger.info('User created from OIDC identity', {
+        userId: user.id,
+        issuer,
         ip: req.ip,
       });
+    }
 
-      return res.status(401).json({
-        error: 'Token Too Old',
-        message: 'Token is too old to refresh. Please request a new token.',
+    if (user.disabled) {
+      return res.status(403).json({
+        error: 'Account Disabled',
+        message: 'This account has been disabled. Please contact an administrator.',
       });
     }
 
-    // Generate new token
-    const newPayload = {
-      userId: decoded.userId,
-      username: decoded.username,
-      role: decoded.role,
-    };
+    const response = buildTokenResponse(user, 'Logged in with single sign-on');
 
-    const newToken = jwt.sign(newPayload, process.env.JWT_SECRET, {
-      expiresIn: '24h',
-      issuer: 'itunes-search-api',
-      audience: 'itunes-search-client',
+    logger.info('JWT token generated via OIDC', {
+      userId: user.id,
+      issuer,
+      ip: req.ip,
     });
 
-    logger.info('JWT token refreshed', {
-      userId: decoded.userId,
+    // Hand the tokens to the frontend in the URL fragment so they never reach server logs
+    const { postLoginRedirect } = oidcClient.OIDC_CONFIG;
+    if (postLoginRedirect) {
+      const fragment = new URLSearchParams({
+        token: response.token,
+        refreshToken: response.refreshToken,
+        expiresIn: response.expiresIn,
+      });
+      return res.redirect(`${postLoginRedirect}#${fragment.toString()}`);
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    if (error.name === 'OidcError') {
+      logger.warn('OIDC login failed', {
+        error: error.message,
+        ip: req.ip,
+      });
+
+      return res.status(error.statusCode).json({
+        error: 'Login Failed',
+        message: error.message,
+      });
+    }
+
+    logger.error('OIDC callback failed', {
+      error: error.message,
+      stack: error.stack,
       ip: req.ip,
     });
 
-    res.json({
-      success: true,
-      message: 'Token refreshed successfully',
-      token: newToken,
-      tokenType: 'Bearer',
-      expiresIn: '24h',
-      user: {
-        id: newPayload.userId,
-        username: newPayload.username,
-        role: newPayload.role,
-      },
+    res.status(502).json({
+      error: 'Identity Provider Unavailable',
+      message: 'Unable to complete the login with the identity provider. Please try again later.',
     });
+  }
+});
 
-  } catch (error) {
-    logger.error('Token refresh failed', {
-      error: error.message,
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and refresh token
+ *
+ * Body:
+ * - refreshToken (required): Refresh token from a previous token response
+ *
+ * Each refresh token can be used once. Presenting a used token again
+ * revokes every token descended from the same login.
+ */
+router.post('/refresh', authLimiter, (req, res) => {
+  const { refreshToken } = req.body || {};
+
+  if (!refreshToken) {
+    return res.status(401).json({
+      error: 'No Token Provided',
+      message: 'Please provide a refresh token',
+    });
+  }
+
+  try {
+    const record = tokenService.consumeRefreshToken(refreshToken);
+
+    // Re-read the account so role changes and deletions take effect
+    const user = userStore.toPublicUser(userStore.findById(record.userId));
+    if (!user || user.disabled) {
+      return res.status(401).json({
+        error: 'Invalid Token',
+        message: 'The account for this token no longer exists or has been disabled',
+      });
+    }
+
+    const response = buildTokenResponse(user, 'Token refreshed successfully', record.familyId);
+
+    logger.info('JWT token refreshed', {
+      userId: user.id,
       ip: req.ip,
     });
 
-    if (error.name === 'JsonWebTokenError') {
+    res.json(response);
+
+  } catch (error) {
+    if (error.name === 'RefreshTokenReuseError') {
+      logger.warn('Refresh token reuse detected - session revoked', {
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+      });
+
+      return res.status(401).json({
+        error: 'Token Reused',
+        message: 'This refresh token was already used. The session has been revoked, please log in again.',
+      });
+    }
+
+    if (error.name === 'InvalidRefreshTokenError') {
+      logger.warn('Token refresh rejected', {
+        error: error.message,
+        ip: req.ip,
+      });
+
       return res.status(401).json({
         error: 'Invalid Token',
-        message: 'The provided token is invalid',
+        message: 'The provided refresh token is invalid, expired or revoked',
       });
     }
 
+    logger.error('Token refresh failed', {
+      error: error.message,
+      stack: error.stack,
+      ip: req.ip,
+    });
+
     res.status(500).json({
       error: 'Token Refresh Failed',
       message: 'Unable to refresh authentication token',
@@ -169,6 +485,53 @@ router.post('/refresh', authLimiter, (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/logout
+ * Revoke the current access token and, if given, its refresh token
+ *
+ * Body:
+ * - refreshToken (optional): Refresh token of the session to end
+ */
+router.post('/logout', authenticateToken, requireUserSession, (req, res) => {
+  tokenService.revokeAccessToken(req.user);
+
+  const refreshRevoked = req.body?.refreshToken
+    ? tokenService.revokeRefreshToken(req.body.refreshToken, req.user.userId)
+    : false;
+
+  logger.info('User logged out', {
+    userId: req.user.userId,
+    refreshRevoked,
+    ip: req.ip,
+  });
+
+  res.json({
+    success: true,
+    message: 'Logged out successfully',
+    refreshTokenRevoked: refreshRevoked,
+  });
+});
+
+/**
+ * POST /api/auth/logout-all
+ * Revoke every access and refresh token issued to the current user
+ */
+router.post('/logout-all', authenticateToken, requireUserSession, (req, res) => {
+  const sessionsRevoked = tokenService.revokeAllForUser(req.user.userId);
+
+  logger.info('User logged out of all sessions', {
+    userId: req.user.userId,
+    sessionsRevoked,
+    ip: req.ip,
+  });
+
+  res.json({
+    success: true,
+    message: 'All sessions have been logged out',
+    sessionsRevoked,
+  });
+});
+
 /**
  * GET /api/auth/verify
  * Verify if a JWT token is valid
@@ -188,7 +551,7 @@ router.get('/verify', (req, res) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = tokenService.verifyAccessToken(token);
 
     res.json({
       valid: true,
@@ -0,0 +1,170 @@
+/**
+ * Search History Routes
+ * Lets a user read, record and delete their own search history, or turn it off
+ */
+
+const express = require('express');
+const { authenticateToken, requireUserSession } = require('../middleware/auth');
+const historyStore = require('../utils/historyStore');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// History belongs to a person, so it is only available with a user token
+router.use(authenticateToken, requireUserSession);
+
+// Entries returned per page
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * GET /api/search/history
+ * List the current user's searches, most recent first; each term and media type appears once
+ *
+ * Query Parameters:
+ * - page (optional): Page number, starting at 1
+ * - pageSize (optional): Entries per page (1-100, default 20)
+ */
+router.get('/', (req, res) => {
+  const page = req.query.page === undefined ? 1 : parseInt(req.query.page);
+  const pageSize = req.query.pageSize === undefined ? DEFAULT_PAGE_SIZE : parseInt(req.query.pageSize);
+
+  if (isNaN(page) || page < 1 || isNaN(pageSize) || pageSize < 1 || pageSize > 100) {
+    return res.status(400).json({
+      error: 'Invalid Parameters',
+      message: 'Page must be a positive number and pageSize a number between 1 and 100',
+    });
+  }
+
+  const offset = (page - 1) * pageSize;
+  const { entries, total, enabled } = historyStore.listHistory(req.user.userId, { offset, limit: pageSize });
+
+  res.json({
+    success: true,
+    history: entries,
+    metadata: {
+      page,
+      pageSize,
+      total,
+      hasMore: offset + pageSize < total,
+      enabled,
+    },
+  });
+});
+
+/**
+ * POST /api/search/history
+ * Record a search for the current user (searches through /api/search are recorded automatically)
+ *
+ * Body:
+ * - term (required): Search term
+ * - media (optional): Media type searched (default: all)
+ * - timestamp (optional): When the search was made (default: now)
+ */
+router.post('/', (req, res) => {
+  const { term, media, timestamp } = req.body || {};
+
+  const validation = historyStore.validateEntry({ term, media, searchedAt: timestamp });
+  if (!validation.isValid) {
+    return res.status(400).json({
+      error: 'Invalid Parameters',
+      message: 'One or more history fields are invalid',
+      errors: validation.errors,
+    });
+  }
+
+  const entry = historyStore.recordSearch(req.user.userId, { term, media, searchedAt: timestamp });
+
+  if (!entry) {
+    return res.json({
+      success: true,
+      recorded: false,
+      message: 'Search history is turned off or the search is older than the retention period',
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    recorded: true,
+    entry,
+  });
+});
+
+/**
+ * GET /api/search/history/preferences
+ * Whether searches are recorded, and the retention limits
+ */
+router.get('/preferences', (req, res) => {
+  res.json({
+    success: true,
+    preferences: historyStore.getPreferences(req.user.userId),
+  });
+});
+
+/**
+ * PUT /api/search/history/preferences
+ * Turn search history on or off; turning it off deletes the stored history
+ *
+ * Body:
+ * - enabled (required): true or false
+ */
+router.put('/preferences', (req, res) => {
+  const { enabled } = req.body || {};
+
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({
+      error: 'Invalid Parameters',
+      message: 'enabled must be true or false',
+    });
+  }
+
+  const preferences = historyStore.setEnabled(req.user.userId, enabled);
+
+  logger.info('Search history preference changed', {
+    userId: req.user.userId,
+    enabled,
+  });
+
+  res.json({
+    success: true,
+    preferences,
+  });
+});
+
+/**
+ * DELETE /api/search/history/:entryId
+ * Delete one entry
+ */
+router.delete('/:entryId', (req, res) => {
+  if (!historyStore.deleteEntry(req.user.userId, req.params.entryId)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `No history entry found with ID: ${req.params.entryId}`,
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'History entry deleted',
+  });
+});
+
+/**
+ * DELETE /api/search/history
+ * Delete the current user's whole history
+ */
+router.delete('/', (req, res) => {
+  const deleted = historyStore.clearHistory(req.user.userId);
+
+  logger.info('Search history cleared', {
+    userId: req.user.userId,
+    deleted,
+  });
+
+  res.json({
+    success: true,
+    message: 'Search history cleared',
+    deleted,
+  });
+});
+
+module.exports = router;
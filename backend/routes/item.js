@@ -0,0 +1,346 @@
+/**
+ * Item Routes
+ * Detail and related-items views of one iTunes item, in the normalized result model
+ * Lookups go through the same cache, request budget and rate limits as /api/search
+ */
+
+const express = require('express');
+const { authenticateToken, requireScope, describeCaller } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const { getResultType, getMediaType, getItemId, mergeDuplicates, normalizeItem } = require('../utils/resultModel');
+const { lookup } = require('./search');
+
+const router = express.Router();
+
+router.use(authenticateToken, requireScope('lookup'), ...lookup.limiters);
+
+// Item ids: "track:123", "collection:456", ... or a plain iTunes ID
+const ITEM_ID_PATTERN = /^(?:(track|collection|artist|podcast|software|ebook):)?(\d+)$/;
+
+// Children shown with an item, by what the item is
+const CHILD_ENTITIES = {
+  Album: 'song',
+  Compilation: 'song',
+  'TV Season': 'tvEpisode',
+  Artist: 'album',
+  'Movie Artist': 'movie',
+  Author: 'ebook',
+  podcast: 'podcastEpisode',
+};
+
+// Entity used to find other items by the same artist, by search media type
+const ARTIST_ENTITIES = {
+  music: 'song',
+  musicVideo: 'musicVideo',
+  movie: 'movie',
+  podcast: 'podcast',
+  audiobook: 'audiobook',
+  ebook: 'ebook',
+  software: 'software',
+  tvShow: 'tvSeason',
+};
+
+// Entity listing the other tracks of a track's collection, by kind
+const COLLECTION_ENTITIES = {
+  song: 'song',
+  'music-video': 'musicVideo',
+  'tv-episode': 'tvEpisode',
+};
+
+// Entity of a genre search, for item types a plain search rarely returns
+const GENRE_SEARCH_ENTITIES = {
+  artist: 'musicArtist',
+  collection: 'album',
+};
+
+// How much each relation adds to a related item's rank
+const RELATION_WEIGHTS = {
+  collection: 3,
+  artist: 2,
+  genre: 1,
+};
+
+const DEFAULT_CHILD_LIMIT = 50;
+const DEFAULT_RELATED_LIMIT = 20;
+const MAX_RELATED_LIMIT = 50;
+
+/**
+ * Parse an item id from the URL
+ * @param {string} id - Item id, namespaced or a plain iTunes ID
+ * @returns {Object|null} - type (null for plain ids) and itunesId, or null when invalid
+ */
+const parseItemId = (id) => {
+  const match = ITEM_ID_PATTERN.exec(id);
+  return match ? { type: match[1] || null, itunesId: match[2] } : null;
+};
+
+/**
+ * Entity to expand an item into
+ * @param {Object} item - Raw iTunes item
+ * @returns {string|null} - Lookup entity, or null when the item has no children
+ */
+const getChildEntity = (item) => {
+  const type = getResultType(item);
+  if (type === 'podcast' && item.kind === 'podcast') return CHILD_ENTITIES.podcast;
+  if (type === 'collection') return CHILD_ENTITIES[item.collectionType] || null;
+  if (type === 'artist') return CHILD_ENTITIES[item.artistType] || null;
+  return null;
+};
+
+/**
+ * Look up the item an id refers to
+ * @param {Object} req - Express request object
+ * @param {Object} itemId - Parsed item id
+ * @returns {Promise<Object|null>} - Raw iTunes item and cache info; item is null when not found
+ */
+const findItem = async (req, { type, itunesId }) => {
+  const { data, cache } = await lookup.fetchLookup(req, { id: itunesId });
+  const item = (data.results || []).find(result =>
+    type ? getItemId(result) === `${type}:${itunesId}` : getItemId(result).endsWith(`:${itunesId}`)
+  );
+  return { item: item || null, cache };
+};
+
+/**
+ * Validate and parse the item id, responding with an error when it's invalid
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} - Parsed item id, or null after an error response
+ */
+const readItemId = (req, res) => {
+  const itemId = parseItemId(req.params.id);
+  if (!itemId) {
+    res.status(400).json({
+      error: 'Invalid ID',
+      message: 'Item ID must be an iTunes ID or a namespaced id such as "track:1440857781". '
+        + 'Items without an iTunes ID can\'t be looked up.',
+    });
+  }
+  return itemId;
+};
+
+/**
+ * Respond to a failed item request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Error} error - The error
+ * @param {string} action - What failed, for the log
+ */
+const sendItemError = (req, res, error, action) => {
+  if (error.name === 'UpstreamBusyError') {
+    return lookup.sendUpstreamBusy(res, error);
+  }
+  if (error.name === 'RecordingMissError') {
+    return lookup.sendRecordingMiss(res, error);
+  }
+
+  logger.error(`Item ${action} failed`, {
+    error: error.message,
+    itemId: req.params.id,
+    ...describeCaller(req),
+    ip: req.ip
+  });
+
+  res.status(500).json({
+    error: 'Lookup Failed',
+    message: 'Unable to lookup item. Please try again later.',
+  });
+};
+
+/**
+ * Respond that an item doesn't exist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const sendNotFound = (req, res) => {
+  res.status(404).json({
+    error: 'Not Found',
+    message: `No item found with ID: ${req.params.id}`,
+  });
+};
+
+/**
+ * GET /api/item/:id
+ * One item with its children: the tracks of an album, the episodes of a podcast
+ * or TV season, or the albums, movies or books of an artist
+ *
+ * Query Parameters:
+ * - limit (optional): Most children to return (1-200, default 50)
+ */
+router.get('/:id', async (req, res) => {
+  const startTime = Date.now();
+  const itemId = readItemId(req, res);
+  if (!itemId) return;
+
+  const limit = req.query.limit === undefined ? DEFAULT_CHILD_LIMIT : parseInt(req.query.limit);
+  if (isNaN(limit) || limit < 1 || limit > 200) {
+    return res.status(400).json({
+      error: 'Invalid Parameters',
+      message: 'Limit must be a number between 1 and 200',
+    });
+  }
+
+  try {
+    const { item, cache } = await findItem(req, itemId);
+    if (!item) return sendNotFound(req, res);
+
+    const childEntity = getChildEntity(item);
+    let children = [];
+    if (childEntity) {
+      const { data } = await lookup.fetchLookup(req, { id: itemId.itunesId, entity: childEntity, limit });
+      const parentId = getItemId(item);
+      children = (data.results || []).filter(result => getItemId(result) !== parentId);
+    }
+
+    const responseTime = Date.now() - startTime;
+
+    logger.info('Item details served', {
+      itemId: req.params.id,
+      childEntity,
+      childCount: children.length,
+      cache: cache.status,
+      responseTime: `${responseTime}ms`,
+      ...describeCaller(req)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        item: normalizeItem(item),
+        childEntity,
+        children: children.map(normalizeItem),
+        childCount: children.length,
+      },
+      metadata: {
+        responseTime: `${responseTime}ms`,
+        lookedUpAt: new Date().toISOString(),
+        apiVersion: '2.0',
+        cache
+      }
+    });
+  } catch (error) {
+    sendItemError(req, res, error, 'details');
+  }
+});
+
+/**
+ * GET /api/item/:id/related
+ * Items related to an item: from the same collection, by the same artist and in the
+ * same genre. Items found through several relations rank higher, and each item
+ * (or recording) appears once.
+ *
+ * Query Parameters:
+ * - limit (optional): Most related items to return (1-50, default 20)
+ */
+router.get('/:id/related', async (req, res) => {
+  const startTime = Date.now();
+  const itemId = readItemId(req, res);
+  if (!itemId) return;
+
+  const limit = req.query.limit === undefined ? DEFAULT_RELATED_LIMIT : parseInt(req.query.limit);
+  if (isNaN(limit) || limit < 1 || limit > MAX_RELATED_LIMIT) {
+    return res.status(400).json({
+      error: 'Invalid Parameters',
+      message: `Limit must be a number between 1 and ${MAX_RELATED_LIMIT}`,
+    });
+  }
+
+  try {
+    const { item } = await findItem(req, itemId);
+    if (!item) return sendNotFound(req, res);
+
+    const type = getResultType(item);
+    const media = getMediaType(item);
+    const genre = item.primaryGenreName;
+
+    // Each relation is one cached upstream call; a failing one doesn't sink the others
+    const artistEntity = type === 'collection' && media === 'music' ? 'album' : ARTIST_ENTITIES[media];
+    const sources = {
+      collection: type === 'track' && item.collectionId && COLLECTION_ENTITIES[item.kind]
+        ? lookup.fetchLookup(req, { id: item.collectionId, entity: COLLECTION_ENTITIES[item.kind] })
+        : null,
+      artist: type !== 'artist' && item.artistId && artistEntity
+        ? lookup.fetchLookup(req, { id: item.artistId, entity: artistEntity, limit: 50 })
+        : null,
+      genre: genre && media
+        ? lookup.fetchSearch(req, { term: genre, media, entity: GENRE_SEARCH_ENTITIES[type], limit: 50 })
+        : null,
+    };
+
+    const settled = await Promise.all(Object.entries(sources).map(async ([relation, request]) => {
+      if (!request) return { relation, status: 'skipped', results: [] };
+      try {
+        const { data } = await request;
+        const results = (data.results || []).filter(result =>
+          relation !== 'genre' || result.primaryGenreName === genre
+        );
+        return { relation, status: 'ok', results };
+      } catch (error) {
+        if (!['UpstreamBusyError', 'RecordingMissError'].includes(error.name)) {
+          logger.warn('Related items source failed', { itemId: req.params.id, relation, error: error.message });
+        }
+        return { relation, status: 'failed', results: [], error };
+      }
+    }));
+
+    const failed = settled.filter(source => source.status === 'failed');
+    const missing = failed.find(source => source.error.name === 'RecordingMissError');
+    if (missing || (failed.length > 0 && !settled.some(source => source.status === 'ok'))) {
+      return sendItemError(req, res, (missing || failed[0]).error, 'related lookup');
+    }
+
+    // Merge duplicates with the item itself first, so copies of it drop out with it
+    const [, ...candidates] = mergeDuplicates([item, ...settled.flatMap(source => source.results)]);
+    const candidatesById = new Map();
+    candidates.forEach(candidate => {
+      candidatesById.set(getItemId(candidate), candidate);
+      (candidate.alsoAppearsOn || []).forEach(copy => candidatesById.set(`track:${copy.trackId}`, candidate));
+    });
+
+    const relations = new Map();
+    settled.forEach(({ relation, results }) => results.forEach(result => {
+      const candidate = candidatesById.get(getItemId(result));
+      if (!candidate) return;
+      relations.set(candidate, new Set([...(relations.get(candidate) || []), relation]));
+    }));
+
+    // Only items of the same type are related (the tracks of a track, the albums of an album)
+    const ranked = candidates
+      .filter(candidate => getResultType(candidate) === type && relations.has(candidate))
+      .map(candidate => {
+        const itemRelations = Array.from(relations.get(candidate));
+        const score = itemRelations.reduce((sum, relation) => sum + RELATION_WEIGHTS[relation], 0);
+        return { ...normalizeItem(candidate), relations: itemRelations, score };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    const responseTime = Date.now() - startTime;
+
+    logger.info('Related items served', {
+      itemId: req.params.id,
+      count: ranked.length,
+      sources: settled.map(source => `${source.relation}:${source.status}`),
+      responseTime: `${responseTime}ms`,
+      ...describeCaller(req)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        item: normalizeItem(item),
+        related: ranked,
+        count: ranked.length,
+      },
+      metadata: {
+        responseTime: `${responseTime}ms`,
+        sources: Object.fromEntries(settled.map(source => [source.relation, source.status])),
+        apiVersion: '2.0'
+      }
+    });
+  } catch (error) {
+    sendItemError(req, res, error, 'related lookup');
+  }
+});
+
+module.exports = router;
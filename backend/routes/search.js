@@ -3,49 +3,150 @@
  * Handles iTunes Search API integration and search functionality
  */
 
+const crypto = require('crypto');
 const express = require('express');
-const axios = require('axios');
 const rateLimit = require('express-rate-limit');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireScope, describeCaller } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const { createTieredLimiter, createStore, getCallerKey } = require('../utils/rateLimit');
+const catalog = require('../providers');
+const { createCache } = require('../utils/cache');
+const { PERMISSIONS, hasPermission } = require('../utils/roles');
+const suggestionService = require('../utils/suggestionService');
+const { parseFilters, refineResults } = require('../utils/resultFilters');
+const historyStore = require('../utils/historyStore');
+const {
+  RESPONSE_VERSIONS,
+  DEFAULT_RESPONSE_VERSION,
+  getItemId,
+  mergeDuplicates,
+  normalizeItem,
+} = require('../utils/resultModel');
 
 const router = express.Router();
 
-// iTunes API configuration
-const ITUNES_BASE_URL = 'https://itunes.apple.com';
-const ITUNES_SEARCH_ENDPOINT = `${ITUNES_BASE_URL}/search`;
-const ITUNES_LOOKUP_ENDPOINT = `${ITUNES_BASE_URL}/lookup`;
+/**
+ * Middleware selecting the result model of the response
+ * Clients pick a version with ?version= or the Accept-Version header (default: 1)
+ * Runs after authentication, so unauthenticated callers get a 401 whatever the version
+ */
+const resolveResponseVersion = (req, res, next) => {
+  const requested = String(req.query.version || req.get('Accept-Version') || DEFAULT_RESPONSE_VERSION);
+  const version = requested.replace(/\.0$/, '');
+
+  if (!RESPONSE_VERSIONS.includes(version)) {
+    return res.status(400).json({
+      error: 'Invalid Parameters',
+      message: `Unsupported response version "${requested}". Supported versions: ${RESPONSE_VERSIONS.join(', ')}`,
+    });
+  }
+
+  req.responseVersion = version;
+  res.vary('Accept-Version');
+  next();
+};
 
-// Rate limiting for search endpoints
-const searchLimiter = rateLimit({
+// Rate limiting for search endpoints - per user, with a per-minute quota that depends on the plan
+const searchLimiter = createTieredLimiter({
+  name: 'search',
   windowMs: 1 * 60 * 1000, // 1 minute
-  max: 20, // Limit to 20 requests per minute (iTunes API limit)
+  tierLimit: 'search',
   message: {
     error: 'Search rate limit exceeded',
-    message: 'Too many search requests. iTunes API allows maximum 20 calls per minute.',
+    message: 'Too many search requests. Please wait a minute or upgrade your plan.',
   },
+  skip: (req) => Boolean(req.apiKey), // API keys have their own quota below
+});
+
+// Rate limiting for API keys - each key has its own per-minute quota
+const apiKeyLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: (req) => req.apiKey.rateLimit,
+  keyGenerator: getCallerKey,
+  store: createStore('apiKey'),
+  message: {
+    error: 'API key rate limit exceeded',
+    message: 'This API key has used its per-minute request quota.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => !req.apiKey,
+});
+
+// Cached catalog responses, keyed on the provider's request key (the iTunes API URL for iTunes)
+const responseCache = createCache({
+  name: 'itunes',
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 500,
 });
 
-// Valid media types according to iTunes API
-const VALID_MEDIA_TYPES = [
-  'all', 'movie', 'podcast', 'music', 'musicVideo', 
-  'audiobook', 'shortFilm', 'tvShow', 'software', 'ebook'
-];
-
-// Valid entities for different media types
-const MEDIA_ENTITIES = {
-  movie: ['movieArtist', 'movie'],
-  podcast: ['podcastAuthor', 'podcast'],
-  music: ['musicArtist', 'musicTrack', 'album', 'musicVideo', 'mix', 'song'],
-  musicVideo: ['musicArtist', 'musicVideo'],
-  audiobook: ['audiobookAuthor', 'audiobook'],
-  shortFilm: ['shortFilmArtist', 'shortFilm'],
-  tvShow: ['tvEpisode', 'tvSeason'],
-  software: ['software', 'iPadSoftware', 'macSoftware'],
-  ebook: ['ebook'],
-  all: ['movie', 'album', 'allArtist', 'podcast', 'musicVideo', 'mix', 'audiobook', 'tvSeason', 'allTrack']
+// Upstream calls in progress, keyed on the request key
+const inFlightRequests = new Map();
+
+// How long responses stay fresh, per route
+const SEARCH_CACHE_TTL_MS = (parseInt(process.env.SEARCH_CACHE_TTL_SECONDS) || 5 * 60) * 1000;
+const LOOKUP_CACHE_TTL_MS = (parseInt(process.env.LOOKUP_CACHE_TTL_SECONDS) || 60 * 60) * 1000;
+
+// The catalog can't skip results, so searches fetch its maximum once and are paged from that window
+const SEARCH_WINDOW_SIZE = catalog.capabilities.maxResults;
+const DEFAULT_PAGE_SIZE = 50;
+
+// Searches finding this many results or fewer get spelling suggestions
+const DID_YOU_MEAN_MAX_RESULTS = process.env.DID_YOU_MEAN_MAX_RESULTS !== undefined
+  ? parseInt(process.env.DID_YOU_MEAN_MAX_RESULTS)
+  : 3;
+
+// Number of autocomplete suggestions returned
+const SUGGESTION_DEFAULT_LIMIT = 8;
+const SUGGESTION_MAX_LIMIT = 20;
+
+// Media types and lookup keys the catalog provider accepts
+const { mediaTypes: VALID_MEDIA_TYPES, lookupKeys: LOOKUP_KEY_TYPES } = catalog.capabilities;
+
+// Name of the list each entity a lookup expands into is returned under
+const LOOKUP_ENTITIES = {
+  album: 'albums',
+  song: 'tracks',
+  musicTrack: 'tracks',
+  musicVideo: 'musicVideos',
+  movie: 'movies',
+  podcast: 'podcasts',
+  audiobook: 'audiobooks',
+  ebook: 'ebooks',
+  software: 'apps',
+  tvSeason: 'seasons',
+  tvEpisode: 'episodes',
+  podcastEpisode: 'episodes',
 };
 
+// Most storefronts one comparison may cover
+const STOREFRONT_MAX_COUNTRIES = parseInt(process.env.STOREFRONT_MAX_COUNTRIES) || 10;
+
+// Most keys one batch lookup may ask for, and how many go into one iTunes call
+const LOOKUP_BATCH_MAX_KEYS = parseInt(process.env.LOOKUP_BATCH_MAX_KEYS) || 100;
+const LOOKUP_CHUNK_SIZE = 50;
+
+// Sections a federated search can return, and the search each one runs
+const FEDERATED_SECTIONS = {
+  songs: { label: 'Songs', media: 'music', entity: 'song' },
+  albums: { label: 'Albums', media: 'music', entity: 'album' },
+  artists: { label: 'Artists', media: 'music', entity: 'musicArtist' },
+  musicVideos: { label: 'Music Videos', media: 'musicVideo', entity: 'musicVideo' },
+  movies: { label: 'Movies', media: 'movie', entity: 'movie' },
+  tvShows: { label: 'TV Shows', media: 'tvShow', entity: 'tvSeason' },
+  podcasts: { label: 'Podcasts', media: 'podcast', entity: 'podcast' },
+  audiobooks: { label: 'Audiobooks', media: 'audiobook', entity: 'audiobook' },
+  ebooks: { label: 'Books', media: 'ebook', entity: 'ebook' },
+  apps: { label: 'Apps', media: 'software', entity: 'software' },
+};
+const FEDERATED_DEFAULT_SECTIONS = ['songs', 'albums', 'movies', 'podcasts'];
+
+// Most sections one federated search may ask for (each is one iTunes call when not cached),
+// and how long it waits for them before answering with the sections it has
+const FEDERATED_MAX_SECTIONS = parseInt(process.env.FEDERATED_MAX_SECTIONS) || 6;
+const FEDERATED_MAX_WAIT_MS = parseInt(process.env.FEDERATED_MAX_WAIT_MS) || 5000;
+const FEDERATED_DEFAULT_LIMIT = 5;
+const FEDERATED_MAX_LIMIT = 25;
+
 /**
  * Validate search parameters
  * @param {Object} params - Search parameters
@@ -72,6 +173,25 @@ const validateSearchParams = (params) => {
     }
   }
   
+  // Validate pagination
+  if (params.page) {
+    const page = parseInt(params.page);
+    if (isNaN(page) || page < 1) {
+      errors.push('Page must be a number of 1 or more');
+    }
+  }
+  
+  if (params.pageSize) {
+    const pageSize = parseInt(params.pageSize);
+    if (isNaN(pageSize) || pageSize < 1 || pageSize > SEARCH_WINDOW_SIZE) {
+      errors.push(`Page size must be a number between 1 and ${SEARCH_WINDOW_SIZE}`);
+    }
+  }
+  
+  if (params.autoCorrect !== undefined && !['true', 'false'].includes(params.autoCorrect)) {
+    errors.push('autoCorrect must be true or false');
+  }
+  
   // Validate country code (if provided)
   if (params.country && !/^[A-Z]{2}$/.test(params.country)) {
     errors.push('Country must be a valid 2-letter country code (e.g., US, CA, GB)');
@@ -84,67 +204,56 @@ const validateSearchParams = (params) => {
 };
 
 /**
- * Build iTunes API URL with proper encoding
- * @param {Object} params - Search parameters
- * @returns {string} - Formatted iTunes API URL
+ * Enhance a raw iTunes item (version 1 responses)
+ * @param {Object} item - Raw iTunes item
+ * @returns {Object} - The raw item plus derived fields
  */
-const buildItunesUrl = (params) => {
-  const searchParams = new URLSearchParams();
+const enhanceItem = (item) => ({
+  ...item,
+  // Ensure consistent image URLs (prefer high-resolution)
+  artworkUrl: item.artworkUrl100?.replace('100x100', '300x300') || 
+             item.artworkUrl60?.replace('60x60', '300x300') || 
+             item.artworkUrl30?.replace('30x30', '300x300') || 
+             item.artworkUrl100,
   
-  // Required term parameter
-  searchParams.append('term', params.term.trim());
+  // Format release date
+  releaseDate: item.releaseDate ? new Date(item.releaseDate).toLocaleDateString() : null,
   
-  // Optional parameters with defaults
-  searchParams.append('media', params.media || 'all');
-  searchParams.append('limit', params.limit || '50');
-  searchParams.append('country', params.country || 'US');
-  searchParams.append('explicit', params.explicit || 'Yes');
+  // Add formatted price
+  formattedPrice: item.trackPrice ? `${item.trackPrice}` : 
+                 item.collectionPrice ? `${item.collectionPrice}` : 'N/A',
   
-  // Add entity if specified and valid for the media type
-  if (params.entity) {
-    const mediaType = params.media || 'all';
-    const validEntities = MEDIA_ENTITIES[mediaType] || [];
-    if (validEntities.includes(params.entity)) {
-      searchParams.append('entity', params.entity);
-    }
-  }
+  // Add media type for consistent handling
+  mediaType: item.wrapperType || item.kind || 'unknown',
+  
+  // Clean up genre information
+  primaryGenre: item.primaryGenreName || item.genres?.[0] || 'Unknown',
   
-  return `${ITUNES_SEARCH_ENDPOINT}?${searchParams.toString()}`;
+  // Add unique identifier for favorites
+  uniqueId: getItemId(item)
+});
+
+/**
+ * Format a raw iTunes item for the requested response version
+ * @param {Object} item - Raw iTunes item
+ * @param {string} version - Response version
+ * @returns {Object} - Enhanced (version 1) or normalized (version 2) item
+ */
+const formatItem = (item, version = DEFAULT_RESPONSE_VERSION) => {
+  return version === '2' ? normalizeItem(item) : enhanceItem(item);
 };
 
 /**
  * Process and enhance iTunes API response
  * @param {Object} data - Raw iTunes API response
+ * @param {string} version - Response version (default: 1)
  * @returns {Object} - Enhanced response with additional metadata
  */
-const processItunesResponse = (data) => {
+const processItunesResponse = (data, version = DEFAULT_RESPONSE_VERSION) => {
   const results = data.results || [];
   
-  // Enhance each result with additional formatting
-  const enhancedResults = results.map(item => ({
-    ...item,
-    // Ensure consistent image URLs (prefer high-resolution)
-    artworkUrl: item.artworkUrl100?.replace('100x100', '300x300') || 
-               item.artworkUrl60?.replace('60x60', '300x300') || 
-               item.artworkUrl30?.replace('30x30', '300x300') || 
-               item.artworkUrl100,
-    
-    // Format release date
-    releaseDate: item.releaseDate ? new Date(item.releaseDate).toLocaleDateString() : null,
-    
-    // Add formatted price
-    formattedPrice: item.trackPrice ? `${item.trackPrice}` : 
-                   item.collectionPrice ? `${item.collectionPrice}` : 'N/A',
-    
-    // Add media type for consistent handling
-    mediaType: item.wrapperType || item.kind || 'unknown',
-    
-    // Clean up genre information
-    primaryGenre: item.primaryGenreName || item.genres?.[0] || 'Unknown',
-    
-    // Add unique identifier for favorites
-    uniqueId: item.trackId || item.collectionId || item.artistId || Date.now()
-  }));
+  // Format each result for the requested version
+  const enhancedResults = results.map(item => formatItem(item, version));
   
   return {
     resultCount: data.resultCount || 0,
@@ -157,6 +266,584 @@ const processItunesResponse = (data) => {
   };
 };
 
+/**
+ * Create an opaque cursor pointing at a page of a search
+ * The cursor is tied to the search it came from
+ * @param {number} offset - Index of the first result on the page
+ * @param {number} pageSize - Results per page
+ * @param {string} searchKey - Request key of the search window, plus its filters and sort order
+ * @returns {string} - Cursor
+ */
+const encodeCursor = (offset, pageSize, searchKey) => {
+  const search = crypto.createHash('sha256').update(searchKey).digest('base64url').slice(0, 12);
+  return Buffer.from(JSON.stringify({ offset, pageSize, search })).toString('base64url');
+};
+
+/**
+ * Read a cursor created by encodeCursor
+ * @param {string} cursor - Cursor from a previous response
+ * @param {string} searchKey - Search key of the current search (see encodeCursor)
+ * @returns {Object|null} - offset and pageSize, or null when the cursor is invalid or from another search
+ */
+const decodeCursor = (cursor, searchKey) => {
+  try {
+    const { offset, pageSize, search } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const expected = crypto.createHash('sha256').update(searchKey).digest('base64url').slice(0, 12);
+
+    if (search !== expected || !Number.isInteger(offset) || offset < 0
+      || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > SEARCH_WINDOW_SIZE) {
+      return null;
+    }
+    return { offset, pageSize };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Cut one page out of a search window
+ * Duplicates are merged across the whole window first, so pages never overlap,
+ * then the window is filtered and sorted and its facets are counted
+ * @param {Object} data - Raw iTunes API response for the whole window
+ * @param {Object} page - offset and pageSize
+ * @param {string} searchKey - Search key (for the next cursor, see encodeCursor)
+ * @param {string} version - Response version
+ * @param {Object} refinement - filters and sort from parseFilters
+ * @returns {Object} - Processed page with paging details in searchInfo, and facets
+ */
+const paginateResults = (data, { offset, pageSize }, searchKey, version, refinement) => {
+  const merged = mergeDuplicates(data.results || []);
+  const { results, facets } = refineResults(merged, refinement);
+  const pageResults = results.slice(offset, offset + pageSize);
+  const processed = processItunesResponse({ resultCount: pageResults.length, results: pageResults }, version);
+  const hasMore = offset + pageSize < results.length;
+
+  processed.searchInfo = {
+    ...processed.searchInfo,
+    totalResults: results.length,
+    unfilteredResults: merged.length,
+    hasResults: results.length > 0,
+    page: Math.floor(offset / pageSize) + 1,
+    pageSize,
+    offset,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(offset + pageSize, pageSize, searchKey) : null,
+    filters: refinement.filters,
+    sort: refinement.sort,
+  };
+  processed.facets = facets;
+  return processed;
+};
+
+/**
+ * Check whether the caller asked to skip the cache and may do so
+ * Only admins can bypass the cache (with ?cache=bypass); others are served normally
+ * @param {Object} req - Express request object
+ * @returns {boolean} - True when the cached response should be skipped
+ */
+const wantsCacheBypass = (req) => {
+  return req.query.cache === 'bypass'
+    && req.user?.authType === 'token'
+    && hasPermission(req.user.role, PERMISSIONS.CACHE_BYPASS);
+};
+
+/**
+ * Get a catalog response, from the cache when possible
+ * Identical requests that miss the cache at the same time share one upstream call
+ * @param {Object} req - Express request object
+ * @param {string} operation - search, lookup or expand (see providers/index.js)
+ * @param {Object} params - Parameters of the operation
+ * @param {number} ttlMs - How long the response stays fresh
+ * @returns {Promise<Object>} - Raw iTunes data, cache info and whether the call was shared
+ */
+const fetchCatalog = async (req, operation, params, ttlMs) => {
+  const key = catalog.requestKey(operation, params);
+  let coalesced = false;
+
+  const fetchUpstream = () => {
+    if (inFlightRequests.has(key)) {
+      coalesced = true;
+      return inFlightRequests.get(key);
+    }
+
+    const request = catalog[operation](params, getCallerKey(req))
+      .finally(() => inFlightRequests.delete(key));
+    inFlightRequests.set(key, request);
+    return request;
+  };
+
+  const { value, cache } = await responseCache.fetch(key, fetchUpstream, {
+    ttlMs,
+    bypass: wantsCacheBypass(req),
+  });
+  return { data: value, cache, coalesced };
+};
+
+/**
+ * Look up an item by iTunes ID through the cache
+ * @param {Object} req - Express request object
+ * @param {Object} params - Lookup parameters (id, and optionally entity, limit, sort)
+ * @returns {Promise<Object>} - Raw iTunes data, cache info and whether the call was shared
+ */
+const fetchLookup = (req, params) => {
+  return fetchCatalog(req, 'expand', params, LOOKUP_CACHE_TTL_MS);
+};
+
+/**
+ * Run a search through the cache
+ * @param {Object} req - Express request object
+ * @param {Object} params - Search parameters (validated)
+ * @returns {Promise<Object>} - Raw iTunes data, cache info and whether the call was shared
+ */
+const fetchSearch = (req, params) => {
+  return fetchCatalog(req, 'search', params, SEARCH_CACHE_TTL_MS);
+};
+
+/**
+ * Respond to a request the iTunes API queue could not take
+ * @param {Object} res - Express response object
+ * @param {Error} error - UpstreamBusyError from the iTunes client
+ */
+const sendUpstreamBusy = (res, error) => {
+  res.set('Retry-After', String(error.retryAfter));
+  res.status(error.statusCode).json({
+    error: error.statusCode === 429 ? 'Too Many Requests' : 'Service Unavailable',
+    message: error.message,
+    retryAfter: error.retryAfter,
+  });
+};
+
+/**
+ * Respond to a request that has no recording in replay mode
+ * Fails the whole request, so a missing recording is never mistaken for an upstream hiccup
+ * @param {Object} res - Express response object
+ * @param {Error} error - RecordingMissError from the iTunes recorder
+ */
+const sendRecordingMiss = (res, error) => {
+  res.status(500).json({
+    error: 'Recording Missing',
+    message: error.message,
+    recording: { url: error.url, file: error.file },
+  });
+};
+
+/**
+ * Validate the expansion options of a lookup
+ * @param {Object} params - entity, limit and sort from the query string
+ * @returns {Object} - Validation result with isValid and errors
+ */
+const validateLookupParams = (params) => {
+  const errors = [];
+
+  const { expansionEntities } = catalog.capabilities;
+  if (params.entity && !expansionEntities.includes(params.entity)) {
+    errors.push(`Invalid entity. Valid entities: ${expansionEntities.join(', ')}`);
+  }
+
+  if (params.limit) {
+    const limit = parseInt(params.limit);
+    if (isNaN(limit) || limit < 1 || limit > 200) {
+      errors.push('Limit must be a number between 1 and 200');
+    }
+  }
+
+  if (params.sort && params.sort !== 'recent') {
+    errors.push('Sort must be "recent"');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Split an expanded lookup into the item itself and its related items
+ * e.g. { collection, tracks: [...] } for an album looked up with entity=song
+ * @param {Object} processedData - Processed iTunes response
+ * @param {string} itemId - ID that was looked up
+ * @param {string} entity - Entity the lookup expanded into
+ * @returns {Object|null} - Parent and children, or null when the item wasn't found
+ */
+const structureLookup = (processedData, itemId, entity) => {
+  const { results } = processedData;
+  const parent = results.find(item => String(item.itunesId || item.trackId || item.collectionId || item.artistId) === itemId)
+    || results[0];
+
+  if (!parent) return null;
+
+  const children = results.filter(item => item !== parent);
+  const childrenKey = LOOKUP_ENTITIES[entity] || 'children';
+
+  return {
+    [parent.wrapperType || parent.type || 'item']: parent,
+    [childrenKey]: children,
+    childCount: children.length,
+  };
+};
+
+/**
+ * Validate the parameters of a storefront comparison
+ * @param {Object} params - term or id, countries, and the usual search parameters
+ * @returns {Object} - Validation result with isValid, errors and the country list
+ */
+const validateStorefrontParams = (params) => {
+  const errors = [];
+  const countries = [...new Set(String(params.countries || '')
+    .split(',')
+    .map(country => country.trim().toUpperCase())
+    .filter(Boolean))];
+
+  if (!params.term === !params.id) {
+    errors.push('Either a search term or a lookup id is required (not both)');
+  }
+  if (params.id && !/^\d+$/.test(params.id)) {
+    errors.push('Item ID must be a valid number');
+  }
+  if (params.term) {
+    errors.push(...validateSearchParams({ ...params, country: undefined }).errors);
+  }
+
+  if (countries.length < 2) {
+    errors.push('At least two comma-separated country codes are required (e.g., US,GB,CA)');
+  }
+  if (countries.length > STOREFRONT_MAX_COUNTRIES) {
+    errors.push(`At most ${STOREFRONT_MAX_COUNTRIES} countries can be compared at once`);
+  }
+  const invalidCountries = countries.filter(country => !/^[A-Z]{2}$/.test(country));
+  if (invalidCountries.length > 0) {
+    errors.push(`Invalid country codes: ${invalidCountries.join(', ')}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    countries
+  };
+};
+
+/**
+ * What identifies an item in a storefront comparison, in the item model of the response
+ * @param {Object} item - Item formatted for the response version
+ * @param {string} version - Response version
+ * @returns {Object} - Item summary (without its storefronts)
+ */
+const describeStorefrontItem = (item, version) => {
+  if (version === '2') {
+    const { id, type, itunesId, name, kind, artist, artworkUrl } = item;
+    return { id, type, itunesId, name, kind, artist, artworkUrl };
+  }
+
+  return {
+    id: item.trackId || item.collectionId || item.artistId,
+    name: item.trackName || item.collectionName || item.artistName,
+    artistName: item.artistName || null,
+    mediaType: item.mediaType,
+    kind: item.kind || null,
+    artworkUrl: item.artworkUrl || null,
+  };
+};
+
+/**
+ * Price and availability of an item in one storefront
+ * @param {Object} item - Item formatted for the response version
+ * @param {string} version - Response version
+ * @returns {Object} - Storefront details
+ */
+const describeStorefrontOffer = (item, version) => {
+  if (version === '2') {
+    return { available: true, price: item.price, url: item.url };
+  }
+
+  return {
+    available: true,
+    price: item.trackPrice ?? item.collectionPrice ?? item.price ?? null,
+    currency: item.currency || null,
+    url: item.trackViewUrl || item.collectionViewUrl || item.artistViewUrl || null,
+  };
+};
+
+/**
+ * Run a search or lookup in several storefronts and merge the matches by id
+ * Countries are queried one after another through the shared iTunes request budget,
+ * so a comparison never floods the queue; once iTunes is busy the remaining
+ * countries are reported as failed
+ * @param {Object} req - Express request object
+ * @param {Object} params - term or id, plus media, entity and limit
+ * @param {string[]} countries - Country codes
+ * @returns {Promise<Object>} - Merged items and the outcome per country
+ */
+const compareStorefronts = async (req, params, countries) => {
+  const itemsById = new Map();
+  const countryOutcomes = {};
+  let busyError = null;
+
+  for (const country of countries) {
+    if (busyError) {
+      countryOutcomes[country] = { status: 'error', message: busyError.message, retryAfter: busyError.retryAfter };
+      continue;
+    }
+
+    try {
+      const { data } = params.id
+        ? await fetchCatalog(req, 'lookup', { key: 'id', values: [params.id], country }, LOOKUP_CACHE_TTL_MS)
+        : await fetchSearch(req, { ...params, country });
+      const { results } = processItunesResponse(data, req.responseVersion);
+      countryOutcomes[country] = { status: 'ok', resultCount: results.length };
+
+      results.forEach(item => {
+        const summary = describeStorefrontItem(item, req.responseVersion);
+        if (!summary.id) return;
+
+        if (!itemsById.has(summary.id)) {
+          itemsById.set(summary.id, { ...summary, storefronts: {} });
+        }
+        itemsById.get(summary.id).storefronts[country] = describeStorefrontOffer(item, req.responseVersion);
+      });
+    } catch (error) {
+      if (error.name === 'RecordingMissError') throw error;
+      if (error.name === 'UpstreamBusyError') busyError = error;
+
+      logger.warn('Storefront comparison call failed', {
+        country,
+        error: error.message,
+        ...describeCaller(req)
+      });
+      countryOutcomes[country] = {
+        status: 'error',
+        message: error.name === 'UpstreamBusyError' ? error.message : 'Unable to search this storefront.',
+        ...(error.retryAfter && { retryAfter: error.retryAfter })
+      };
+    }
+  }
+
+  // Mark the storefronts that answered without the item as unavailable
+  const answered = countries.filter(country => countryOutcomes[country].status === 'ok');
+  const items = [...itemsById.values()].map(item => {
+    answered.forEach(country => {
+      if (!item.storefronts[country]) {
+        item.storefronts[country] = { available: false };
+      }
+    });
+    return {
+      ...item,
+      availableIn: answered.filter(country => item.storefronts[country].available),
+    };
+  });
+
+  return { items, countries: countryOutcomes };
+};
+
+/**
+ * Split the body of a batch lookup into valid and invalid keys
+ * @param {Object} body - Request body: arrays of values per key type
+ * @returns {Object} - keysByType (deduplicated valid values), invalid (per type) and errors
+ */
+const parseBatchKeys = (body) => {
+  const errors = [];
+  const keysByType = {};
+  const invalid = {};
+  let total = 0;
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errors: ['Request body must be an object of key type to list of values'] };
+  }
+
+  Object.entries(body).forEach(([type, values]) => {
+    if (!LOOKUP_KEY_TYPES[type]) {
+      errors.push(`Unknown key type "${type}". Valid types: ${Object.keys(LOOKUP_KEY_TYPES).join(', ')}`);
+      return;
+    }
+    if (!Array.isArray(values)) {
+      errors.push(`"${type}" must be an array`);
+      return;
+    }
+
+    const unique = [...new Set(values.map(value => String(value).trim()))];
+    keysByType[type] = unique.filter(value => LOOKUP_KEY_TYPES[type].pattern.test(value));
+    invalid[type] = unique.filter(value => !LOOKUP_KEY_TYPES[type].pattern.test(value));
+    total += unique.length;
+  });
+
+  if (!errors.length && total === 0) {
+    errors.push('At least one key is required');
+  }
+  if (total > LOOKUP_BATCH_MAX_KEYS) {
+    errors.push(`At most ${LOOKUP_BATCH_MAX_KEYS} keys can be looked up at once`);
+  }
+
+  return { keysByType, invalid, errors };
+};
+
+/**
+ * Look up every key of a batch, matching iTunes results back to the keys
+ * Calls are made one after another; once the iTunes API is busy the remaining
+ * keys are reported as failed instead of queueing more calls
+ * @param {Object} req - Express request object
+ * @param {Object} keysByType - Valid values per key type
+ * @returns {Promise<Object>} - Outcome per type and value, and the number of calls made to iTunes
+ */
+const lookupBatch = async (req, keysByType) => {
+  const outcomes = {};
+  const calls = [];
+
+  Object.entries(keysByType).forEach(([type, values]) => {
+    outcomes[type] = {};
+    const chunkSize = LOOKUP_KEY_TYPES[type].matchField ? LOOKUP_CHUNK_SIZE : 1;
+    for (let i = 0; i < values.length; i += chunkSize) {
+      calls.push({ type, values: values.slice(i, i + chunkSize) });
+    }
+  });
+
+  let busyError = null;
+  let upstreamCalls = 0;
+
+  for (const { type, values } of calls) {
+    if (busyError) {
+      values.forEach(value => {
+        outcomes[type][value] = { status: 'error', message: busyError.message, retryAfter: busyError.retryAfter };
+      });
+      continue;
+    }
+
+    try {
+      const { data, cache, coalesced } = await fetchCatalog(req, 'lookup', { key: type, values }, LOOKUP_CACHE_TTL_MS);
+      const results = data.results || [];
+      if ((cache.status === 'miss' || cache.status === 'bypass') && !coalesced) upstreamCalls += 1;
+
+      // Match on Apple's fields before formatting the item for the response
+      const { matchField } = LOOKUP_KEY_TYPES[type];
+      values.forEach(value => {
+        const match = matchField
+          ? results.find(item => String(matchField(item)) === value)
+          : results[0];
+        outcomes[type][value] = match
+          ? { status: 'found', result: formatItem(match, req.responseVersion) }
+          : { status: 'not_found' };
+      });
+    } catch (error) {
+      if (error.name === 'RecordingMissError') throw error;
+      if (error.name === 'UpstreamBusyError') busyError = error;
+
+      logger.warn('Batch lookup call failed', {
+        type,
+        keys: values.length,
+        error: error.message,
+        ...describeCaller(req)
+      });
+      values.forEach(value => {
+        outcomes[type][value] = {
+          status: 'error',
+          message: error.name === 'UpstreamBusyError' ? error.message : 'Unable to lookup item. Please try again later.',
+          ...(error.retryAfter && { retryAfter: error.retryAfter })
+        };
+      });
+    }
+  }
+
+  return { outcomes, upstreamCalls };
+};
+
+/**
+ * Validate the parameters of a federated search
+ * @param {Object} params - term, sections, limit and country
+ * @returns {Object} - Validation result with isValid, errors and the section keys
+ */
+const validateFederatedParams = (params) => {
+  const errors = validateSearchParams({ term: params.term, country: params.country }).errors;
+  const sections = params.sections
+    ? [...new Set(String(params.sections).split(',').map(section => section.trim()).filter(Boolean))]
+    : FEDERATED_DEFAULT_SECTIONS;
+
+  const unknown = sections.filter(section => !FEDERATED_SECTIONS[section]);
+  if (unknown.length > 0) {
+    errors.push(`Unknown sections: ${unknown.join(', ')}. Valid sections: ${Object.keys(FEDERATED_SECTIONS).join(', ')}`);
+  }
+  if (sections.length === 0) {
+    errors.push('At least one section is required');
+  }
+  if (sections.length > FEDERATED_MAX_SECTIONS) {
+    errors.push(`At most ${FEDERATED_MAX_SECTIONS} sections can be searched at once`);
+  }
+
+  if (params.limit !== undefined) {
+    const limit = parseInt(params.limit);
+    if (isNaN(limit) || limit < 1 || limit > FEDERATED_MAX_LIMIT) {
+      errors.push(`Limit must be a number between 1 and ${FEDERATED_MAX_LIMIT}`);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    sections
+  };
+};
+
+/**
+ * Search every section of a federated search in parallel
+ * Each section is one search through the cache and the shared iTunes request budget,
+ * so uncached sections beyond the budget wait their turn in the caller's queue.
+ * Sections still waiting when FEDERATED_MAX_WAIT_MS runs out are reported as pending;
+ * their calls carry on and fill the cache, so asking again shortly returns them
+ * @param {Object} req - Express request object
+ * @param {Object} params - term, country and explicit
+ * @param {string[]} sectionKeys - Sections to search
+ * @param {number} limit - Results returned per section
+ * @returns {Promise<Array>} - One outcome per section, in the order asked for
+ */
+const searchSections = async (req, params, sectionKeys, limit) => {
+  let timer;
+  const deadline = new Promise(resolve => {
+    timer = setTimeout(resolve, FEDERATED_MAX_WAIT_MS);
+  });
+
+  const sections = await Promise.all(sectionKeys.map(async (key) => {
+    const { label, media, entity } = FEDERATED_SECTIONS[key];
+    const section = { key, label, media, entity };
+
+    try {
+      // The same window as GET /api/search, so "see all" for a section is served from the cache
+      const request = fetchSearch(req, { ...params, media, entity, limit: SEARCH_WINDOW_SIZE });
+      const outcome = await Promise.race([request, deadline.then(() => null)]);
+      if (!outcome) {
+        return { ...section, status: 'pending', count: null, hasMore: false, results: [] };
+      }
+
+      const results = mergeDuplicates(outcome.data.results || []);
+      return {
+        ...section,
+        status: 'ok',
+        count: results.length,
+        hasMore: results.length > limit,
+        results: results.slice(0, limit).map(item => formatItem(item, req.responseVersion)),
+        cache: outcome.cache.status,
+      };
+    } catch (error) {
+      if (!['UpstreamBusyError', 'RecordingMissError'].includes(error.name)) {
+        logger.warn('Federated search section failed', {
+          section: key,
+          error: error.message,
+          ...describeCaller(req)
+        });
+      }
+      return {
+        ...section,
+        status: 'error',
+        count: null,
+        hasMore: false,
+        results: [],
+        message: error.name === 'UpstreamBusyError' ? error.message : 'Unable to search this section.',
+        ...(error.retryAfter && { retryAfter: error.retryAfter }),
+        error,
+      };
+    }
+  }));
+
+  clearTimeout(timer);
+  return sections;
+};
+
 /**
  * GET /api/search
  * Main search endpoint that queries the iTunes Search API
@@ -164,12 +851,24 @@ const processItunesResponse = (data) => {
  * Query Parameters:
  * - term (required): Search term
  * - media (optional): Media type (movie, podcast, music, etc.)
- * - limit (optional): Number of results (1-200, default: 50)
+ * - limit (optional): Number of results (1-200, default: 50); same as pageSize
+ * - page (optional): Page number, starting at 1 (default: 1)
+ * - pageSize (optional): Results per page (1-200, default: limit or 50)
+ * - cursor (optional): nextCursor from a previous response; replaces page and pageSize
  * - country (optional): Country code (default: US)
  * - entity (optional): Specific entity type
  * - explicit (optional): Include explicit content (Yes/No, default: Yes)
+ * - genre, kind (optional): Comma-separated primary genres or kinds to keep
+ * - yearFrom, yearTo (optional): Release year range
+ * - minPrice, maxPrice (optional): Price range; free=true keeps free items only
+ * - explicitness (optional): Comma-separated explicit, cleaned, notExplicit
+ * - sort (optional): relevance (default), releaseDate, price, duration or name
+ * - order (optional): asc or desc (default depends on sort)
+ * - autoCorrect (optional): "true" to search for the best spelling suggestion when little is found
+ * - cache (optional): "bypass" to skip the cached response (admins only)
+ * - version (optional): Result model, 1 (default) or 2; also read from the Accept-Version header
  */
-router.get('/', authenticateToken, searchLimiter, async (req, res) => {
+router.get('/', authenticateToken, requireScope('search'), resolveResponseVersion, searchLimiter, apiKeyLimiter, async (req, res) => {
   const startTime = Date.now();
   
   try {
@@ -180,56 +879,114 @@ router.get('/', authenticateToken, searchLimiter, async (req, res) => {
       limit: req.query.limit,
       country: req.query.country,
       entity: req.query.entity,
-      explicit: req.query.explicit
+      explicit: req.query.explicit,
+      page: req.query.page,
+      pageSize: req.query.pageSize,
+      autoCorrect: req.query.autoCorrect
     };
     
     // Validate parameters
     const validation = validateSearchParams(searchParams);
-    if (!validation.isValid) {
+    const { filters, sort, errors: refinementErrors } = parseFilters(req.query);
+    const errors = [...validation.errors, ...refinementErrors];
+    if (errors.length > 0) {
       logger.warn('Invalid search parameters', {
-        errors: validation.errors,
+        errors,
         params: searchParams,
-        userId: req.user?.userId,
+        ...describeCaller(req),
         ip: req.ip
       });
       
       return res.status(400).json({
         error: 'Invalid Parameters',
         message: 'One or more search parameters are invalid',
-        errors: validation.errors,
+        errors,
         validMediaTypes: VALID_MEDIA_TYPES
       });
     }
     
-    // Build iTunes API URL
-    const itunesUrl = buildItunesUrl(searchParams);
+    // Search for the whole window; pages are cut from it
+    const windowParams = { ...searchParams, limit: SEARCH_WINDOW_SIZE };
+    const requestKey = catalog.requestKey('search', windowParams);
+    
+    // Cursors belong to one search with one set of filters and sort order
+    const searchKey = `${requestKey}#${JSON.stringify({ filters, sort })}`;
+    
+    const pageSize = parseInt(searchParams.pageSize) || parseInt(searchParams.limit) || DEFAULT_PAGE_SIZE;
+    let page = { offset: ((parseInt(searchParams.page) || 1) - 1) * pageSize, pageSize };
+    
+    if (req.query.cursor) {
+      page = decodeCursor(String(req.query.cursor), searchKey);
+      if (!page) {
+        return res.status(400).json({
+          error: 'Invalid Parameters',
+          message: 'Cursor is invalid or belongs to a different search',
+        });
+      }
+    }
     
     logger.info('iTunes API search request', {
-      url: itunesUrl,
+      provider: catalog.name,
+      request: requestKey,
       term: searchParams.term,
       media: searchParams.media,
-      userId: req.user?.userId,
+      ...describeCaller(req),
       ip: req.ip
     });
     
-    // Make request to iTunes API
-    const response = await axios.get(itunesUrl, {
-      timeout: 10000, // 10 second timeout
-      headers: {
-        'User-Agent': 'iTunes-Search-App/1.0',
-        'Accept': 'application/json'
+    // Search the catalog (cached; waits for a turn when the request budget is used up)
+    let { data, cache, coalesced } = await fetchSearch(req, windowParams);
+    
+    // Process the requested page
+    let processedData = paginateResults(data, page, searchKey, req.responseVersion, { filters, sort });
+    
+    // Little or nothing found: suggest other spellings, and search for the best one when asked to
+    let corrections = [];
+    let searchedTerm = searchParams.term;
+    if (page.offset === 0 && processedData.searchInfo.unfilteredResults <= DID_YOU_MEAN_MAX_RESULTS) {
+      corrections = suggestionService.correct(searchParams.term);
+      
+      if (searchParams.autoCorrect === 'true' && corrections.length > 0) {
+        searchedTerm = corrections[0].term;
+        const correctedParams = { ...windowParams, term: searchedTerm };
+        const correctedKey = `${catalog.requestKey('search', correctedParams)}#${JSON.stringify({ filters, sort })}`;
+        
+        ({ data, cache, coalesced } = await fetchSearch(req, correctedParams));
+        processedData = paginateResults(data, page, correctedKey, req.responseVersion, { filters, sort });
+        
+        logger.info('Search auto-corrected', {
+          term: searchParams.term,
+          correctedTo: searchedTerm,
+          ...describeCaller(req)
+        });
       }
-    });
+    }
+    processedData.searchInfo.suggestions = corrections;
+    processedData.searchInfo.correctedFrom = searchedTerm !== searchParams.term ? searchParams.term : null;
     
-    // Process the response
-    const processedData = processItunesResponse(response.data);
+    // Record new searches (not later pages of the same one) in the user's history
+    if (page.offset === 0 && req.user.authType === 'token') {
+      historyStore.recordSearch(req.user.userId, { term: searchedTerm, media: searchParams.media });
+    }
+    
+    // Learn suggestions from new searches that found something
+    if (page.offset === 0 && processedData.searchInfo.unfilteredResults > 0) {
+      suggestionService.recordSearch({
+        term: searchedTerm,
+        media: searchParams.media,
+        userId: req.user.userId || req.user.ownerId,
+      });
+      suggestionService.recordResults(data.results || []);
+    }
     const responseTime = Date.now() - startTime;
     
     logger.info('iTunes API search completed', {
       term: searchParams.term,
       resultCount: processedData.resultCount,
+      cache: cache.status,
+      coalesced,
       responseTime: `${responseTime}ms`,
-      userId: req.user?.userId
+      ...describeCaller(req)
     });
     
     // Return enhanced results
@@ -237,19 +994,30 @@ router.get('/', authenticateToken, searchLimiter, async (req, res) => {
       success: true,
       data: processedData,
       searchParams: {
-        term: searchParams.term,
+        term: searchedTerm,
         media: searchParams.media || 'all',
-        limit: parseInt(searchParams.limit) || 50,
+        limit: page.pageSize,
+        page: processedData.searchInfo.page,
+        pageSize: page.pageSize,
         country: searchParams.country || 'US'
       },
       metadata: {
         responseTime: `${responseTime}ms`,
         searchedAt: new Date().toISOString(),
-        apiVersion: '1.0'
+        apiVersion: `${req.responseVersion}.0`,
+        cache,
+        coalesced
       }
     });
     
   } catch (error) {
+    if (error.name === 'UpstreamBusyError') {
+      return sendUpstreamBusy(res, error);
+    }
+    if (error.name === 'RecordingMissError') {
+      return sendRecordingMiss(res, error);
+    }
+    
     const responseTime = Date.now() - startTime;
     
     logger.error('iTunes API search failed', {
@@ -258,7 +1026,7 @@ router.get('/', authenticateToken, searchLimiter, async (req, res) => {
       url: error.config?.url,
       status: error.response?.status,
       responseTime: `${responseTime}ms`,
-      userId: req.user?.userId,
+      ...describeCaller(req),
       ip: req.ip
     });
     
@@ -295,14 +1063,139 @@ router.get('/', authenticateToken, searchLimiter, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/search/federated
+ * Search several media types at once and return one section per type, each with
+ * its own count and top results (e.g. Songs / Albums / Movies / Podcasts)
+ *
+ * Query Parameters:
+ * - term (required): Search term
+ * - sections (optional): Comma-separated sections (default: songs,albums,movies,podcasts)
+ * - limit (optional): Results per section (1-25, default: 5)
+ * - country (optional): Country code (default: US)
+ * - explicit (optional): Include explicit content (Yes/No, default: Yes)
+ * - cache (optional): "bypass" to skip the cached responses (admins only)
+ * - version (optional): Result model, 1 (default) or 2; also read from the Accept-Version header
+ *
+ * A section that fails or isn't back in time doesn't fail the others: it is returned
+ * with status "error" or "pending", and metadata.pendingSections lists what to ask for again
+ */
+router.get('/federated', authenticateToken, requireScope('search'), resolveResponseVersion, searchLimiter, apiKeyLimiter, async (req, res) => {
+  const startTime = Date.now();
+  const params = {
+    term: req.query.term,
+    sections: req.query.sections,
+    limit: req.query.limit,
+    country: req.query.country,
+    explicit: req.query.explicit
+  };
+
+  const validation = validateFederatedParams(params);
+  if (!validation.isValid) {
+    logger.warn('Invalid federated search parameters', {
+      errors: validation.errors,
+      params,
+      ...describeCaller(req),
+      ip: req.ip
+    });
+
+    return res.status(400).json({
+      error: 'Invalid Parameters',
+      message: 'One or more search parameters are invalid',
+      errors: validation.errors,
+      validSections: Object.keys(FEDERATED_SECTIONS)
+    });
+  }
+
+  const limit = params.limit === undefined ? FEDERATED_DEFAULT_LIMIT : parseInt(params.limit);
+  const searchParams = { term: params.term, country: params.country, explicit: params.explicit };
+
+  const outcomes = await searchSections(req, searchParams, validation.sections, limit);
+
+  const failed = outcomes.filter(section => section.status === 'error');
+  const missing = failed.find(section => section.error.name === 'RecordingMissError');
+  if (missing) {
+    return sendRecordingMiss(res, missing.error);
+  }
+
+  if (failed.length === outcomes.length) {
+    const busy = failed.find(section => section.error.name === 'UpstreamBusyError');
+    if (busy) {
+      return sendUpstreamBusy(res, busy.error);
+    }
+
+    logger.error('Federated search failed', {
+      term: params.term,
+      error: failed[0].error.message,
+      ...describeCaller(req),
+      ip: req.ip
+    });
+
+    return res.status(500).json({
+      error: 'Search Failed',
+      message: 'Unable to complete search request. Please try again later.',
+    });
+  }
+
+  const sections = outcomes.map(({ error, ...section }) => section);
+  const pendingSections = sections
+    .filter(section => section.status !== 'ok')
+    .map(section => section.key);
+  // Each section left over needs one more turn of the request budget
+  const { requestsPerMinute } = catalog.getStats();
+  const retryAfter = pendingSections.length > 0 && requestsPerMinute
+    ? Math.ceil(pendingSections.length * 60 / requestsPerMinute)
+    : null;
+
+  const responseTime = Date.now() - startTime;
+
+  logger.info('Federated search completed', {
+    term: params.term,
+    sections: sections.map(section => `${section.key}:${section.status}`),
+    responseTime: `${responseTime}ms`,
+    ...describeCaller(req)
+  });
+
+  res.json({
+    success: true,
+    data: {
+      sections,
+      sectionCount: sections.length
+    },
+    searchParams: {
+      term: params.term,
+      sections: validation.sections,
+      limit,
+      country: params.country || 'US'
+    },
+    metadata: {
+      responseTime: `${responseTime}ms`,
+      searchedAt: new Date().toISOString(),
+      apiVersion: `${req.responseVersion}.0`,
+      pendingSections,
+      retryAfter
+    }
+  });
+});
+
 /**
  * GET /api/search/lookup/:id
  * Lookup specific item by iTunes ID
  * 
  * Path Parameters:
  * - id: iTunes ID for the item
+ *
+ * Query Parameters:
+ * - entity (optional): Related items to include, e.g. album for an artist's albums or song for an album's tracks
+ * - limit (optional): Number of related items (1-200)
+ * - sort (optional): "recent" to list the newest related items first
+ * - cache (optional): "bypass" to skip the cached response (admins only)
+ * - version (optional): Result model, 1 (default) or 2; also read from the Accept-Version header
+ *
+ * With entity, limit or sort the response is structured as the item and its
+ * related items (e.g. { collection, tracks }) instead of a flat results list
  */
-router.get('/lookup/:itemId', authenticateToken, searchLimiter, async (req, res) => {
+router.get('/lookup/:itemId', authenticateToken, requireScope('lookup'), resolveResponseVersion, searchLimiter, apiKeyLimiter, async (req, res) => {
   const startTime = Date.now();
   
   try {
@@ -316,24 +1209,30 @@ router.get('/lookup/:itemId', authenticateToken, searchLimiter, async (req, res)
       });
     }
     
-    const lookupUrl = `${ITUNES_LOOKUP_ENDPOINT}?id=${itemId}`;
+    const { entity, limit, sort } = req.query;
+    const validation = validateLookupParams({ entity, limit, sort });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid Parameters',
+        message: 'One or more lookup parameters are invalid',
+        errors: validation.errors,
+      });
+    }
+    
+    const lookupParams = { id: itemId, entity, limit: limit && parseInt(limit), sort };
+    const isExpanded = Boolean(entity || limit || sort);
     
     logger.info('iTunes API lookup request', {
-      url: lookupUrl,
+      provider: catalog.name,
+      request: catalog.requestKey('expand', lookupParams),
       itemId,
-      userId: req.user?.userId,
+      ...describeCaller(req),
       ip: req.ip
     });
     
-    const response = await axios.get(lookupUrl, {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'iTunes-Search-App/1.0',
-        'Accept': 'application/json'
-      }
-    });
+    const { data, cache, coalesced } = await fetchLookup(req, lookupParams);
     
-    const processedData = processItunesResponse(response.data);
+    const processedData = processItunesResponse(data, req.responseVersion);
     const responseTime = Date.now() - startTime;
     
     if (processedData.resultCount === 0) {
@@ -345,29 +1244,41 @@ router.get('/lookup/:itemId', authenticateToken, searchLimiter, async (req, res)
     
     logger.info('iTunes API lookup completed', {
       itemId,
+      entity,
       found: processedData.resultCount > 0,
+      cache: cache.status,
+      coalesced,
       responseTime: `${responseTime}ms`,
-      userId: req.user?.userId
+      ...describeCaller(req)
     });
     
     res.json({
       success: true,
-      data: processedData,
+      data: isExpanded ? structureLookup(processedData, itemId, entity) : processedData,
       metadata: {
         responseTime: `${responseTime}ms`,
         lookedUpAt: new Date().toISOString(),
-        apiVersion: '1.0'
+        apiVersion: `${req.responseVersion}.0`,
+        cache,
+        coalesced
       }
     });
     
   } catch (error) {
+    if (error.name === 'UpstreamBusyError') {
+      return sendUpstreamBusy(res, error);
+    }
+    if (error.name === 'RecordingMissError') {
+      return sendRecordingMiss(res, error);
+    }
+    
     const responseTime = Date.now() - startTime;
     
     logger.error('iTunes API lookup failed', {
       error: error.message,
       itemId: req.params.itemId,
       responseTime: `${responseTime}ms`,
-      userId: req.user?.userId,
+      ...describeCaller(req),
       ip: req.ip
     });
     
@@ -378,34 +1289,248 @@ router.get('/lookup/:itemId', authenticateToken, searchLimiter, async (req, res)
   }
 });
 
+/**
+ * POST /api/search/lookup/batch
+ * Look up many items at once, by iTunes ID or another supported key
+ * Every key gets its own outcome, so missing items don't fail the request
+ *
+ * Body (at least one key, at most LOOKUP_BATCH_MAX_KEYS in total):
+ * - id (optional): iTunes IDs
+ * - upc (optional): UPC/EAN barcodes
+ * - isbn (optional): ISBN-10 or ISBN-13 numbers
+ * - amgArtistId (optional): AMG artist IDs
+ * - amgAlbumId (optional): AMG album IDs
+ *
+ * Query Parameters:
+ * - version (optional): Result model, 1 (default) or 2; also read from the Accept-Version header
+ */
+router.post('/lookup/batch', authenticateToken, requireScope('lookup'), resolveResponseVersion, searchLimiter, apiKeyLimiter, async (req, res) => {
+  const startTime = Date.now();
+  const { keysByType, invalid, errors } = parseBatchKeys(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid Parameters',
+      message: 'The batch lookup request is invalid',
+      errors,
+      validKeyTypes: Object.keys(LOOKUP_KEY_TYPES)
+    });
+  }
+
+  try {
+    const { outcomes, upstreamCalls } = await lookupBatch(req, keysByType);
+
+    // Invalid keys are reported next to the others
+    Object.entries(invalid).forEach(([type, values]) => {
+      values.forEach(value => {
+        outcomes[type][value] = { status: 'invalid', message: `Not a valid ${type}` };
+      });
+    });
+
+    const summary = { requested: 0, found: 0, not_found: 0, invalid: 0, error: 0 };
+    Object.values(outcomes).forEach(byValue => {
+      Object.values(byValue).forEach(({ status }) => {
+        summary.requested += 1;
+        summary[status] += 1;
+      });
+    });
+
+    const responseTime = Date.now() - startTime;
+
+    logger.info('iTunes API batch lookup completed', {
+      ...summary,
+      upstreamCalls,
+      responseTime: `${responseTime}ms`,
+      ...describeCaller(req)
+    });
+
+    res.json({
+      success: true,
+      results: outcomes,
+      summary: {
+        requested: summary.requested,
+        found: summary.found,
+        notFound: summary.not_found,
+        invalid: summary.invalid,
+        failed: summary.error
+      },
+      metadata: {
+        responseTime: `${responseTime}ms`,
+        lookedUpAt: new Date().toISOString(),
+        upstreamCalls,
+        apiVersion: `${req.responseVersion}.0`
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'RecordingMissError') {
+      return sendRecordingMiss(res, error);
+    }
+
+    logger.error('iTunes API batch lookup failed', {
+      error: error.message,
+      stack: error.stack,
+      ...describeCaller(req),
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Lookup Failed',
+      message: 'Unable to complete the batch lookup. Please try again later.',
+    });
+  }
+});
+
+/**
+ * GET /api/search/storefronts
+ * Compare availability and prices of items across country storefronts
+ *
+ * Query Parameters:
+ * - countries (required): Comma-separated country codes (2 to STOREFRONT_MAX_COUNTRIES)
+ * - term (required unless id is given): Search term
+ * - id (required unless term is given): iTunes ID to look up
+ * - media, entity, limit (optional): As for GET /api/search (limit default: 25)
+ */
+router.get('/storefronts', authenticateToken, (req, res, next) => requireScope(req.query.id ? 'lookup' : 'search')(req, res, next), resolveResponseVersion, searchLimiter, apiKeyLimiter, async (req, res) => {
+  const startTime = Date.now();
+  const params = {
+    term: req.query.term,
+    id: req.query.id,
+    media: req.query.media,
+    entity: req.query.entity,
+    limit: req.query.limit || '25',
+    countries: req.query.countries
+  };
+
+  if (!catalog.capabilities.storefronts) {
+    return res.status(501).json({
+      error: 'Not Supported',
+      message: `The ${catalog.name} catalog has a single storefront, so there is nothing to compare`,
+    });
+  }
+
+  const validation = validateStorefrontParams(params);
+  if (!validation.isValid) {
+    return res.status(400).json({
+      error: 'Invalid Parameters',
+      message: 'One or more storefront comparison parameters are invalid',
+      errors: validation.errors
+    });
+  }
+
+  try {
+    const { items, countries } = await compareStorefronts(req, params, validation.countries);
+    const responseTime = Date.now() - startTime;
+
+    logger.info('iTunes API storefront comparison completed', {
+      term: params.term,
+      id: params.id,
+      countries: validation.countries,
+      itemCount: items.length,
+      responseTime: `${responseTime}ms`,
+      ...describeCaller(req)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        itemCount: items.length,
+        items,
+        countries
+      },
+      searchParams: {
+        term: params.term,
+        id: params.id,
+        media: params.media || 'all',
+        limit: parseInt(params.limit),
+        countries: validation.countries
+      },
+      metadata: {
+        responseTime: `${responseTime}ms`,
+        comparedAt: new Date().toISOString(),
+        apiVersion: `${req.responseVersion}.0`
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'RecordingMissError') {
+      return sendRecordingMiss(res, error);
+    }
+
+    logger.error('iTunes API storefront comparison failed', {
+      error: error.message,
+      stack: error.stack,
+      ...describeCaller(req),
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Comparison Failed',
+      message: 'Unable to compare storefronts. Please try again later.',
+    });
+  }
+});
+
 /**
  * GET /api/search/suggestions
- * Get search suggestions (mock endpoint for demo)
- * In a real app, this might return popular searches or user history
+ * Autocomplete suggestions for a partly typed search term
+ * Ranks the caller's recent searches, popular searches and artist/collection names
+ * from earlier results; each suggestion carries the media type to pre-select
+ *
+ * Query Parameters:
+ * - q (optional): What has been typed so far; without it popular searches are returned
+ * - limit (optional): Number of suggestions (1-20, default 8)
  */
-router.get('/suggestions', authenticateToken, (req, res) => {
-  const suggestions = [
-    { term: 'Taylor Swift', media: 'music', category: 'Popular Artists' },
-    { term: 'Marvel', media: 'movie', category: 'Popular Movies' },
-    { term: 'Joe Rogan', media: 'podcast', category: 'Popular Podcasts' },
-    { term: 'The Office', media: 'tvShow', category: 'Popular TV Shows' },
-    { term: 'Harry Potter', media: 'audiobook', category: 'Popular Audiobooks' },
-    { term: 'Photoshop', media: 'software', category: 'Popular Software' },
-  ];
-  
-  logger.info('Search suggestions requested', {
-    userId: req.user?.userId,
-    ip: req.ip
+router.get('/suggestions', authenticateToken, requireScope('search'), (req, res) => {
+  const q = String(req.query.q || '').trim();
+  const limit = req.query.limit === undefined ? SUGGESTION_DEFAULT_LIMIT : parseInt(req.query.limit);
+
+  if (isNaN(limit) || limit < 1 || limit > SUGGESTION_MAX_LIMIT) {
+    return res.status(400).json({
+      error: 'Invalid Parameters',
+      message: `Limit must be a number between 1 and ${SUGGESTION_MAX_LIMIT}`,
+    });
+  }
+
+  if (q.length > 100) {
+    return res.status(400).json({
+      error: 'Invalid Parameters',
+      message: 'Search term must be less than 100 characters',
+    });
+  }
+
+  const suggestions = suggestionService.suggest({
+    prefix: q,
+    userId: req.user.userId || req.user.ownerId,
+    limit,
   });
-  
+
+  // Called on every keystroke, so only logged at debug level
+  logger.debug('Search suggestions requested', {
+    q,
+    count: suggestions.length,
+    ...describeCaller(req)
+  });
+
+  res.set('Cache-Control', 'private, max-age=30');
   res.json({
     success: true,
     suggestions,
     metadata: {
+      q,
       generatedAt: new Date().toISOString(),
       count: suggestions.length
     }
   });
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+
+// Shared with routes/item.js, which serves the same lookups under /api/item
+module.exports.lookup = {
+  limiters: [searchLimiter, apiKeyLimiter],
+  fetchLookup,
+  fetchSearch,
+  sendUpstreamBusy,
+  sendRecordingMiss,
+};
@@ -0,0 +1,84 @@
+/**
+ * Check Replay
+ * Replays every recording in ITUNES_RECORDINGS_DIR (default: fixtures/itunes) through
+ * the iTunes client and checks that each one is answered exactly as it was recorded,
+ * the same way every time
+ *
+ * Usage: npm run check:replay
+ *
+ * Also checks that a request without a recording fails with a RecordingMissError and
+ * that replayed failures are neither retried nor counted by the circuit breaker.
+ * Exits with 1 when a check fails.
+ */
+
+process.env.ITUNES_RECORDING_MODE = 'replay';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+// Keep the check's logs out of the log files
+process.env.NODE_ENV = 'test';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const recorder = require('../utils/itunesRecorder');
+const itunesClient = require('../utils/itunesClient');
+const { ITUNES_SEARCH_ENDPOINT } = itunesClient;
+
+// Replays of each recording, to show the answer doesn't change
+const REPLAYS_PER_RECORDING = 2;
+
+/**
+ * Replay a request and describe the outcome
+ * @param {string} url - iTunes API URL
+ * @returns {Promise<Object>} - { status, data } or { error: { name, status, code } }
+ */
+const replay = async (url) => {
+  try {
+    const { status, data } = await itunesClient.get(url, 'check-replay');
+    return { status, data };
+  } catch (error) {
+    return { error: { name: error.name, status: error.response?.status, code: error.code } };
+  }
+};
+
+/**
+ * Replay one recording and compare the outcome with what was recorded
+ * @param {string} file - Recording file name
+ */
+const checkRecording = async (file) => {
+  const recording = JSON.parse(fs.readFileSync(path.join(recorder.RECORDINGS_DIR, file), 'utf8'));
+  const expected = recording.response && recording.response.status < 400
+    ? recording.response
+    : { error: { name: 'Error', status: recording.response?.status, code: recording.error?.code || undefined } };
+
+  for (let replayCount = 0; replayCount < REPLAYS_PER_RECORDING; replayCount += 1) {
+    assert.deepStrictEqual(await replay(recording.request.url), expected, `${file} replayed differently`);
+  }
+};
+
+const main = async () => {
+  const files = fs.existsSync(recorder.RECORDINGS_DIR)
+    ? fs.readdirSync(recorder.RECORDINGS_DIR).filter(file => file.endsWith('.json'))
+    : [];
+  assert.ok(files.length > 0, `No recordings found in ${recorder.RECORDINGS_DIR}`);
+
+  for (const file of files) {
+    await checkRecording(file);
+    console.log(`ok - ${file}`);
+  }
+
+  const missing = await replay(`${ITUNES_SEARCH_ENDPOINT}?term=${Date.now()}`);
+  assert.strictEqual(missing.error?.name, 'RecordingMissError', 'An unrecorded request did not fail with RecordingMissError');
+  console.log('ok - unrecorded request fails with RecordingMissError');
+
+  const { retried, circuitBreaker } = itunesClient.getStats();
+  assert.strictEqual(retried, 0, 'Replayed failures were retried');
+  assert.strictEqual(circuitBreaker.consecutiveFailures, 0, 'Replayed failures were counted by the circuit breaker');
+  console.log('ok - replayed failures are not retried or counted by the circuit breaker');
+
+  console.log(`${files.length} recordings replayed from ${recorder.RECORDINGS_DIR}`);
+};
+
+main().catch(error => {
+  console.error(`not ok - ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,65 @@
+/**
+ * Create Admin
+ * Seeds an admin account from the command line, so the first admin never has to
+ * be claimed through the public registration endpoint
+ *
+ * Usage: npm run create-admin -- <username>
+ *
+ * The password is read from ADMIN_PASSWORD, or asked for when it isn't set. An
+ * existing account with the username is promoted to admin and keeps its password.
+ * Later promotions go through PATCH /api/admin/users/:id/role.
+ */
+
+require('dotenv').config();
+
+const readline = require('readline');
+const userStore = require('../utils/userStore');
+
+/**
+ * Ask for the password on the terminal
+ * @returns {Promise<string>} - Password as typed
+ */
+const promptPassword = () => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: Boolean(process.stdin.isTTY) });
+
+  // Don't echo what is typed
+  rl._writeToOutput = (text) => {
+    if (text.includes('Password')) rl.output.write(text);
+  };
+
+  return new Promise(resolve => {
+    rl.question('Password: ', (password) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(password);
+    });
+  });
+};
+
+const main = async () => {
+  const username = process.argv[2];
+  if (!username) {
+    throw new Error('Usage: npm run create-admin -- <username>');
+  }
+
+  const existing = userStore.findByUsername(username);
+  if (existing) {
+    userStore.updateUser(existing.id, { role: 'admin' });
+    console.log(`Promoted "${existing.username}" to admin`);
+    return;
+  }
+
+  const password = process.env.ADMIN_PASSWORD || await promptPassword();
+  const validation = userStore.validateCredentials({ username, password });
+  if (!validation.isValid) {
+    throw new Error(validation.errors.join('\n'));
+  }
+
+  const user = await userStore.createUser({ username, password, role: 'admin' });
+  console.log(`Created admin "${user.username}"`);
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
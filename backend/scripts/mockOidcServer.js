@@ -0,0 +1,168 @@
+/**
+ * Mock OIDC Server
+ * A local OpenID Connect issuer for trying out and testing single sign-on without a
+ * real identity provider
+ *
+ * Usage: npm run mock-oidc
+ *
+ * Every authorization request is approved straight away for one configured identity,
+ * so the whole login can be driven by a browser or by curl. The server checks what a
+ * real issuer would check: the redirect URI, the client id and the PKCE verifier. Keys
+ * are generated at start-up, so ID tokens from an earlier run no longer verify.
+ *
+ * Environment:
+ * - MOCK_OIDC_PORT: Port to listen on (default 5099); the issuer is http://localhost:<port>
+ * - MOCK_OIDC_CLIENT_ID: Only accept this client id (any client id when unset)
+ * - MOCK_OIDC_SUBJECT, MOCK_OIDC_USERNAME, MOCK_OIDC_EMAIL: The identity that signs in
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 5099;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID;
+
+const IDENTITY = {
+  sub: process.env.MOCK_OIDC_SUBJECT || 'mock-user-1',
+  preferred_username: process.env.MOCK_OIDC_USERNAME || 'mock.user',
+  email: process.env.MOCK_OIDC_EMAIL || 'mock.user@example.com',
+};
+
+// How long codes and tokens are valid
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 5 * 60;
+
+const KEY_ID = crypto.randomUUID();
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Issued authorization codes and access tokens
+const codes = new Map();
+const accessTokens = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+/**
+ * Respond with an OAuth error
+ * @param {Object} res - Express response
+ * @param {string} error - OAuth error code
+ * @param {string} description - What went wrong
+ * @param {number} status - HTTP status
+ */
+const sendError = (res, error, description, status = 400) => {
+  console.warn(`Rejected: ${error} - ${description}`);
+  res.status(status).json({ error, error_description: description });
+};
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'profile', 'email'],
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' }] });
+});
+
+/**
+ * GET /authorize
+ * Approves the request for the configured identity and redirects back with a code
+ */
+app.get('/authorize', (req, res) => {
+  const { response_type, client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method } = req.query;
+
+  if (!redirect_uri) {
+    return sendError(res, 'invalid_request', 'redirect_uri is required');
+  }
+  if (response_type !== 'code') {
+    return sendError(res, 'unsupported_response_type', 'Only the authorization code flow is supported');
+  }
+  if (!client_id || (CLIENT_ID && client_id !== CLIENT_ID)) {
+    return sendError(res, 'unauthorized_client', `Unknown client "${client_id}"`);
+  }
+  if (!code_challenge || code_challenge_method !== 'S256') {
+    return sendError(res, 'invalid_request', 'A S256 PKCE code challenge is required');
+  }
+
+  const code = crypto.randomBytes(16).toString('base64url');
+  codes.set(code, { clientId: client_id, redirectUri: redirect_uri, nonce, codeChallenge: code_challenge, createdAt: Date.now() });
+
+  const params = new URLSearchParams({ code });
+  if (state) params.append('state', state);
+
+  console.log(`Approved login of "${IDENTITY.preferred_username}" for client "${client_id}"`);
+  res.redirect(`${redirect_uri}?${params.toString()}`);
+});
+
+/**
+ * POST /token
+ * Exchanges a code for an ID token and access token
+ */
+app.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, client_id, code_verifier } = req.body;
+  const login = codes.get(code);
+  codes.delete(code);
+
+  if (grant_type !== 'authorization_code') {
+    return sendError(res, 'unsupported_grant_type', 'Only authorization_code is supported');
+  }
+  if (!login || Date.now() - login.createdAt > CODE_TTL_MS) {
+    return sendError(res, 'invalid_grant', 'Authorization code is unknown, used or expired');
+  }
+  if (client_id !== login.clientId || redirect_uri !== login.redirectUri) {
+    return sendError(res, 'invalid_grant', 'client_id or redirect_uri does not match the authorization request');
+  }
+
+  const challenge = crypto.createHash('sha256').update(String(code_verifier || '')).digest('base64url');
+  if (challenge !== login.codeChallenge) {
+    return sendError(res, 'invalid_grant', 'PKCE code verifier does not match the code challenge');
+  }
+
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, Date.now() + TOKEN_TTL_SECONDS * 1000);
+
+  const idToken = jwt.sign({ ...IDENTITY, ...(login.nonce && { nonce: login.nonce }) }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: login.clientId,
+    expiresIn: TOKEN_TTL_SECONDS,
+  });
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: TOKEN_TTL_SECONDS,
+    id_token: idToken,
+  });
+});
+
+/**
+ * GET /userinfo
+ * Claims of the identity, for a valid access token
+ */
+app.get('/userinfo', (req, res) => {
+  const accessToken = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const expiresAt = accessTokens.get(accessToken);
+
+  if (!expiresAt || expiresAt < Date.now()) {
+    return sendError(res, 'invalid_token', 'Access token is unknown or expired', 401);
+  }
+
+  res.json(IDENTITY);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC issuer running at ${ISSUER} (signs in as "${IDENTITY.preferred_username}")`);
+});
@@ -11,6 +11,7 @@
 
 const app = require('./app');
 const logger = require('./utils/logger');
+const signingKeys = require('./utils/signingKeys');
 
 // Get port from environment or default to 5000
 const PORT = process.env.PORT || 5000;
@@ -22,6 +23,10 @@ const server = app.listen(PORT, () => {
   logger.info(`🌐 CORS Origin: ${process.env.CORS_ORIGIN || 'http://localhost:3000'}`);
 });
 
+// Rotate the JWT signing key when it is due, even if no tokens are being issued
+const keyRotationTimer = setInterval(() => signingKeys.getActiveKey(), 60 * 60 * 1000);
+keyRotationTimer.unref();
+
 // Graceful shutdown handling
 process.on('SIGTERM', () => {
   logger.info('📴 SIGTERM received. Shutting down gracefully...');
@@ -0,0 +1,162 @@
+/**
+ * API Key Store
+ * Named, hashed API keys for server-to-server clients
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+
+const store = createJsonStore('apiKeys', () => ({ keys: [] }));
+
+// Scopes an API key can be granted
+const API_KEY_SCOPES = ['search', 'lookup'];
+
+// Requests per minute allowed for a key
+const DEFAULT_KEY_RATE_LIMIT = 60;
+const MAX_KEY_RATE_LIMIT = parseInt(process.env.API_KEY_MAX_RATE_LIMIT) || 600;
+
+// Prefix that makes keys easy to recognise in config files and secret scanners
+const KEY_PREFIX = 'isk';
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Strip the secret hash from a stored key before returning it to callers
+ * @param {Object} key - Stored key record
+ * @returns {Object|null} - Key without its hash
+ */
+const toPublicKey = (key) => {
+  if (!key) return null;
+  const { hash, ...publicKey } = key;
+  return publicKey;
+};
+
+/**
+ * Validate the fields used to create a key
+ * @param {Object} params - Name, scopes and rate limit
+ * @returns {Object} - Validation result with isValid and errors
+ */
+const validateKeyParams = ({ name, scopes, rateLimit } = {}) => {
+  const errors = [];
+
+  if (typeof name !== 'string' || name.trim().length === 0 || name.length > 64) {
+    errors.push('Name is required and must be at most 64 characters');
+  }
+
+  if (scopes !== undefined &&
+      (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope)))) {
+    errors.push(`Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`);
+  }
+
+  if (rateLimit !== undefined) {
+    const limit = parseInt(rateLimit);
+    if (isNaN(limit) || limit < 1 || limit > MAX_KEY_RATE_LIMIT) {
+      errors.push(`Rate limit must be a number between 1 and ${MAX_KEY_RATE_LIMIT} requests per minute`);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Create a key for an account
+ * @param {Object} params - ownerId, name, scopes and rateLimit
+ * @returns {Object} - Public key record plus the raw key (only ever returned here)
+ */
+const createKey = ({ ownerId, name, scopes = API_KEY_SCOPES, rateLimit = DEFAULT_KEY_RATE_LIMIT }) => {
+  const id = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  const key = {
+    id,
+    name: name.trim(),
+    ownerId,
+    scopes: [...new Set(scopes)],
+    rateLimit: parseInt(rateLimit),
+    hash: hashSecret(secret),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null,
+  };
+
+  store.update(data => data.keys.push(key));
+
+  return {
+    ...toPublicKey(key),
+    key: `${KEY_PREFIX}_${id}_${secret}`,
+  };
+};
+
+/**
+ * List keys, optionally only those of one account
+ * @param {string} ownerId - Optional owner filter
+ * @returns {Array} - Public key records
+ */
+const listKeys = (ownerId) => {
+  return store.read().keys
+    .filter(key => !ownerId || key.ownerId === ownerId)
+    .map(toPublicKey);
+};
+
+/**
+ * Find a key by id
+ * @param {string} id - Key id
+ * @returns {Object|null} - Public key record
+ */
+const findById = (id) => {
+  return toPublicKey(store.read().keys.find(key => key.id === id));
+};
+
+/**
+ * Revoke a key
+ * @param {string} id - Key id
+ * @returns {Object|null} - Revoked public key record, or null if it doesn't exist
+ */
+const revokeKey = (id) => {
+  return store.update(data => {
+    const key = data.keys.find(existing => existing.id === id);
+    if (!key) return null;
+
+    key.revokedAt = key.revokedAt || new Date().toISOString();
+    return toPublicKey(key);
+  });
+};
+
+/**
+ * Resolve a raw key to its active record
+ * @param {string} rawKey - Key as sent by the client
+ * @returns {Object|null} - Public key record, or null if unknown, wrong or revoked
+ */
+const verifyKey = (rawKey) => {
+  const [prefix, id, secret] = String(rawKey || '').split('_');
+  if (prefix !== KEY_PREFIX || !id || !secret) return null;
+
+  const key = store.read().keys.find(existing => existing.id === id);
+  if (!key || key.revokedAt) return null;
+
+  const expected = Buffer.from(key.hash, 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+  // Recording every use would rewrite the file per request, so only do it once a minute
+  const now = Date.now();
+  if (!key.lastUsedAt || now - new Date(key.lastUsedAt).getTime() > 60 * 1000) {
+    store.update(() => { key.lastUsedAt = new Date(now).toISOString(); });
+  }
+
+  return toPublicKey(key);
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  DEFAULT_KEY_RATE_LIMIT,
+  validateKeyParams,
+  createKey,
+  listKeys,
+  findById,
+  revokeKey,
+  verifyKey,
+};
@@ -0,0 +1,143 @@
+/**
+ * Response Cache
+ * In-memory LRU cache with per-entry TTL, stale-while-revalidate
+ * and stale-if-error for upstream API responses
+ */
+
+const logger = require('./logger');
+
+// How long an expired entry may still be served while it is refreshed in the background
+const STALE_WHILE_REVALIDATE_MS = (parseInt(process.env.CACHE_STALE_WHILE_REVALIDATE_SECONDS) || 60) * 1000;
+
+// How long an expired entry may still be served when the upstream API is failing
+const STALE_IF_ERROR_MS = (parseInt(process.env.CACHE_STALE_IF_ERROR_SECONDS) || 24 * 60 * 60) * 1000;
+
+/**
+ * Create a named cache
+ * @param {Object} options - name and maxEntries (least recently used entries are evicted first)
+ * @returns {Object} - Cache with get, set, fetch and clear
+ */
+const createCache = ({ name, maxEntries = 500 }) => {
+  // Map iteration order doubles as recency order: oldest first
+  const entries = new Map();
+  const revalidating = new Set();
+
+  /**
+   * Get an entry and mark it as recently used
+   * @param {string} key - Cache key
+   * @returns {Object|null} - Entry with value, storedAt and expiresAt
+   */
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    if (Date.now() > entry.expiresAt + STALE_IF_ERROR_MS) {
+      entries.delete(key);
+      return null;
+    }
+
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+  };
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - Value to store
+   * @param {number} ttlMs - How long the value is fresh
+   */
+  const set = (key, value, ttlMs) => {
+    const now = Date.now();
+    entries.delete(key);
+    entries.set(key, { value, storedAt: now, expiresAt: now + ttlMs });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  /**
+   * Refresh an expired entry without making the caller wait
+   * @param {string} key - Cache key
+   * @param {Function} fetcher - Loads a fresh value
+   * @param {number} ttlMs - How long the fresh value is kept
+   */
+  const revalidate = (key, fetcher, ttlMs) => {
+    if (revalidating.has(key)) return;
+    revalidating.add(key);
+
+    fetcher()
+      .then(value => set(key, value, ttlMs))
+      .catch(error => {
+        logger.warn('Background cache refresh failed', { cache: name, key, error: error.message });
+      })
+      .finally(() => revalidating.delete(key));
+  };
+
+  /**
+   * Get a value from the cache, loading it when missing or expired
+   * @param {string} key - Cache key
+   * @param {Function} fetcher - Loads a fresh value (returns a promise)
+   * @param {Object} options - ttlMs, and bypass to skip the cached value
+   * @returns {Promise<Object>} - The value and cache info (status, age in seconds)
+   */
+  const fetch = async (key, fetcher, { ttlMs, bypass = false }) => {
+    const entry = bypass ? null : get(key);
+    const now = Date.now();
+    const describe = (status, cached) => ({
+      status,
+      age: cached ? Math.floor((now - cached.storedAt) / 1000) : 0,
+      ttl: Math.floor(ttlMs / 1000),
+    });
+
+    if (entry && now <= entry.expiresAt) {
+      return { value: entry.value, cache: describe('hit', entry) };
+    }
+
+    if (entry && now <= entry.expiresAt + STALE_WHILE_REVALIDATE_MS) {
+      revalidate(key, fetcher, ttlMs);
+      return { value: entry.value, cache: describe('stale', entry) };
+    }
+
+    try {
+      const value = await fetcher();
+      set(key, value, ttlMs);
+      return { value, cache: describe(bypass ? 'bypass' : 'miss') };
+    } catch (error) {
+      // Better an old answer than none while the upstream API is failing
+      const fallback = bypass ? get(key) : entry;
+      if (fallback) {
+        logger.warn('Serving stale cache entry after upstream failure', {
+          cache: name,
+          key,
+          error: error.message,
+        });
+        return { value: fallback.value, cache: describe('stale-if-error', fallback) };
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * Remove every entry
+   */
+  const clear = () => {
+    entries.clear();
+  };
+
+  return {
+    name,
+    get,
+    set,
+    fetch,
+    clear,
+    get size() {
+      return entries.size;
+    },
+  };
+};
+
+module.exports = {
+  createCache,
+};
@@ -0,0 +1,206 @@
+/**
+ * Search History Store
+ * Persistent per-user search history with a retention limit and an opt-out preference
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+
+const store = createJsonStore('searchHistory', () => ({ users: {} }));
+
+// Entries kept per user (oldest are dropped first) and how long they are kept
+const MAX_ENTRIES = parseInt(process.env.SEARCH_HISTORY_MAX_ENTRIES) || 100;
+const RETENTION_MS = (parseInt(process.env.SEARCH_HISTORY_RETENTION_DAYS) || 90) * 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize a term so repeated searches are recognised
+ * @param {string} term - Search term
+ * @returns {string} - Lowercased term with single spaces
+ */
+const normalizeTerm = (term) => String(term).toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Drop entries past the retention period or over the size limit
+ * @param {Array} entries - Entries, most recent first
+ * @returns {Array} - Entries that are kept
+ */
+const applyRetention = (entries) => {
+  const cutoff = Date.now() - RETENTION_MS;
+  return entries
+    .filter(entry => new Date(entry.searchedAt).getTime() >= cutoff)
+    .slice(0, MAX_ENTRIES);
+};
+
+/**
+ * Get a user's stored history record without creating one
+ * The file is only rewritten when something changes, so callers check this first
+ * @param {string} userId - User id
+ * @returns {Object|null} - { enabled, entries }, or null when the user has no record
+ */
+const findRecord = (userId) => store.read().users[userId] || null;
+
+/**
+ * Get a user's stored history record, creating it on first use
+ * @param {Object} data - Store data
+ * @param {string} userId - User id
+ * @returns {Object} - { enabled, entries }
+ */
+const getRecord = (data, userId) => {
+  if (!data.users[userId]) {
+    data.users[userId] = { enabled: true, entries: [] };
+  }
+  return data.users[userId];
+};
+
+/**
+ * Validate an entry before it is recorded
+ * @param {Object} params - term, media and searchedAt
+ * @returns {Object} - Validation result with isValid and errors
+ */
+const validateEntry = ({ term, media, searchedAt } = {}) => {
+  const errors = [];
+
+  if (typeof term !== 'string' || term.trim().length === 0 || term.length > 100) {
+    errors.push('Term is required and must be less than 100 characters');
+  }
+
+  if (media !== undefined && media !== null && (typeof media !== 'string' || media.length > 32)) {
+    errors.push('Media must be a media type name');
+  }
+
+  if (searchedAt !== undefined && isNaN(new Date(searchedAt).getTime())) {
+    errors.push('Timestamp must be an ISO 8601 date');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Record a search
+ * Searching for the same term and media again moves the existing entry to the top
+ * @param {string} userId - User id
+ * @param {Object} params - term, media and searchedAt (defaults to now)
+ * @returns {Object|null} - The stored entry, or null when the user has turned history off
+ */
+const recordSearch = (userId, { term, media, searchedAt }) => {
+  const existing = findRecord(userId);
+  if (existing && !existing.enabled) return null;
+
+  const entry = {
+    id: crypto.randomBytes(8).toString('hex'),
+    term: term.trim(),
+    media: media && media !== 'all' ? media : 'all',
+    // Client clocks can be ahead; a search can't have happened in the future
+    searchedAt: new Date(Math.min(Date.now(), searchedAt ? new Date(searchedAt).getTime() : Date.now())).toISOString(),
+  };
+
+  return store.update(data => {
+    const record = getRecord(data, userId);
+    const duplicate = (existing) => normalizeTerm(existing.term) === normalizeTerm(entry.term)
+      && existing.media === entry.media;
+    record.entries = applyRetention([entry, ...record.entries.filter(existing => !duplicate(existing))]
+      .sort((a, b) => new Date(b.searchedAt) - new Date(a.searchedAt)));
+
+    return record.entries.includes(entry) ? entry : null;
+  });
+};
+
+/**
+ * List a user's history, most recent first
+ * @param {string} userId - User id
+ * @param {Object} options - offset and limit
+ * @returns {Object} - { entries, total, enabled }
+ */
+const listHistory = (userId, { offset = 0, limit = MAX_ENTRIES } = {}) => {
+  const record = findRecord(userId) || { enabled: true, entries: [] };
+  const entries = applyRetention(record.entries);
+
+  return {
+    entries: entries.slice(offset, offset + limit),
+    total: entries.length,
+    enabled: record.enabled,
+  };
+};
+
+/**
+ * Delete one entry
+ * @param {string} userId - User id
+ * @param {string} entryId - Entry id
+ * @returns {boolean} - True when the entry existed
+ */
+const deleteEntry = (userId, entryId) => {
+  const existing = findRecord(userId);
+  if (!existing || !existing.entries.some(entry => entry.id === entryId)) return false;
+
+  return store.update(data => {
+    const record = getRecord(data, userId);
+    record.entries = record.entries.filter(entry => entry.id !== entryId);
+    return true;
+  });
+};
+
+/**
+ * Delete a user's whole history
+ * @param {string} userId - User id
+ * @returns {number} - Number of entries deleted
+ */
+const clearHistory = (userId) => {
+  const existing = findRecord(userId);
+  if (!existing || existing.entries.length === 0) return 0;
+
+  return store.update(data => {
+    const record = getRecord(data, userId);
+    const deleted = record.entries.length;
+    record.entries = [];
+    return deleted;
+  });
+};
+
+/**
+ * Get a user's history preference
+ * @param {string} userId - User id
+ * @returns {Object} - { enabled, maxEntries, retentionDays }
+ */
+const getPreferences = (userId) => {
+  const record = findRecord(userId);
+  return {
+    enabled: record ? record.enabled : true,
+    maxEntries: MAX_ENTRIES,
+    retentionDays: RETENTION_MS / (24 * 60 * 60 * 1000),
+  };
+};
+
+/**
+ * Turn history on or off for a user
+ * Turning it off also deletes the stored history
+ * @param {string} userId - User id
+ * @param {boolean} enabled - Whether searches are recorded
+ * @returns {Object} - Updated preferences
+ */
+const setEnabled = (userId, enabled) => {
+  const existing = findRecord(userId) || { enabled: true, entries: [] };
+  if (existing.enabled === enabled && (enabled || existing.entries.length === 0)) {
+    return getPreferences(userId);
+  }
+
+  store.update(data => {
+    const record = getRecord(data, userId);
+    record.enabled = enabled;
+    if (!enabled) record.entries = [];
+  });
+  return getPreferences(userId);
+};
+
+module.exports = {
+  MAX_ENTRIES,
+  validateEntry,
+  recordSearch,
+  listHistory,
+  deleteEntry,
+  clearHistory,
+  getPreferences,
+  setEnabled,
+};
@@ -0,0 +1,447 @@
+/**
+ * iTunes API Client
+ * Every outbound call to the iTunes Search and Lookup APIs goes through here,
+ * so the backend as a whole stays within Apple's request budget
+ *
+ * A token bucket sets the pace. When it is empty, requests wait in one queue
+ * per caller and are released round-robin, so one busy caller can't starve
+ * the others. Waiting is bounded: a request that can't be sent in time is
+ * rejected with a retry hint instead of piling up.
+ *
+ * Transient failures are retried with jittered exponential backoff. After
+ * repeated failures a circuit breaker opens and calls fail fast until a
+ * trial call succeeds again.
+ *
+ * Calls can be recorded to disk and replayed from there (see itunesRecorder.js).
+ * Replayed calls never reach Apple, so they skip the request budget, and they are
+ * answered once, the same way every time: no retries and no circuit breaker.
+ */
+
+const axios = require('axios');
+const logger = require('./logger');
+const recorder = require('./itunesRecorder');
+
+// iTunes API configuration
+const ITUNES_BASE_URL = 'https://itunes.apple.com';
+const ITUNES_SEARCH_ENDPOINT = `${ITUNES_BASE_URL}/search`;
+const ITUNES_LOOKUP_ENDPOINT = `${ITUNES_BASE_URL}/lookup`;
+
+const REQUEST_OPTIONS = {
+  timeout: parseInt(process.env.ITUNES_TIMEOUT_MS) || 5000, // per attempt
+  headers: {
+    'User-Agent': 'iTunes-Search-App/1.0',
+    'Accept': 'application/json'
+  }
+};
+
+// Apple allows roughly 20 calls per minute
+const REQUESTS_PER_MINUTE = parseInt(process.env.ITUNES_REQUESTS_PER_MINUTE) || 20;
+const BURST_SIZE = parseInt(process.env.ITUNES_BURST_SIZE) || 5;
+const QUEUE_SIZE = parseInt(process.env.ITUNES_QUEUE_SIZE) || 100;
+const QUEUE_SIZE_PER_CALLER = parseInt(process.env.ITUNES_QUEUE_SIZE_PER_CALLER) || 10;
+const MAX_WAIT_MS = parseInt(process.env.ITUNES_QUEUE_MAX_WAIT_MS) || 15000;
+
+// How long to hold all calls after Apple tells us to slow down
+const THROTTLED_PAUSE_MS = 60 * 1000;
+
+// Retries of failed calls: full jitter between 0 and min(MAX, BASE * 2^attempt)
+const MAX_RETRIES = process.env.ITUNES_MAX_RETRIES !== undefined ? parseInt(process.env.ITUNES_MAX_RETRIES) : 2;
+const RETRY_BASE_DELAY_MS = 250;
+const RETRY_MAX_DELAY_MS = 2000;
+
+// Circuit breaker: open after this many failed calls in a row, try again after the cooldown
+const BREAKER_FAILURE_THRESHOLD = parseInt(process.env.ITUNES_BREAKER_THRESHOLD) || 5;
+const BREAKER_COOLDOWN_MS = (parseInt(process.env.ITUNES_BREAKER_COOLDOWN_SECONDS) || 30) * 1000;
+
+// Network errors worth another try
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN'];
+
+const TOKENS_PER_MS = REQUESTS_PER_MINUTE / (60 * 1000);
+
+const bucket = {
+  tokens: BURST_SIZE,
+  refilledAt: Date.now(),
+  pausedUntil: 0,
+};
+
+// closed: calls go through; open: calls fail fast; half-open: one trial call is let through
+const breaker = {
+  state: 'closed',
+  consecutiveFailures: 0,
+  openedAt: null,
+  trialInProgress: false,
+};
+
+// Waiting requests per caller, and the order callers take turns in
+const queues = new Map();
+let turnOrder = [];
+let queuedCount = 0;
+let drainTimer = null;
+
+const stats = {
+  sent: 0,
+  queued: 0,
+  rejected: 0,
+  timedOut: 0,
+  throttled: 0,
+  retried: 0,
+  failedFast: 0,
+};
+
+/**
+ * Create an error the routes turn into a 429/503 with Retry-After
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status to respond with
+ * @param {number} retryAfter - Seconds the caller should wait before retrying
+ * @returns {Error} - UpstreamBusyError
+ */
+const upstreamBusyError = (message, statusCode, retryAfter) => {
+  const error = new Error(message);
+  error.name = 'UpstreamBusyError';
+  error.statusCode = statusCode;
+  error.retryAfter = Math.max(1, Math.ceil(retryAfter));
+  return error;
+};
+
+/**
+ * Check whether a failed call is worth retrying (and counts against the circuit breaker)
+ * Throttling (403/429) is not: the token bucket pauses instead
+ * @param {Error} error - Axios error
+ * @returns {boolean} - True for timeouts, network errors and 5xx responses
+ */
+const isTransientFailure = (error) => {
+  if (error.response) return error.response.status >= 500;
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+};
+
+/**
+ * Record the outcome of a call in the circuit breaker
+ * @param {boolean} succeeded - Whether the call succeeded
+ */
+const recordOutcome = (succeeded) => {
+  if (succeeded) {
+    if (breaker.state !== 'closed') {
+      logger.info('iTunes API circuit breaker closed');
+    }
+    breaker.state = 'closed';
+    breaker.consecutiveFailures = 0;
+    breaker.openedAt = null;
+    return;
+  }
+
+  breaker.consecutiveFailures += 1;
+  if (breaker.state === 'half-open' || breaker.consecutiveFailures >= BREAKER_FAILURE_THRESHOLD) {
+    if (breaker.state !== 'open') {
+      logger.error('iTunes API circuit breaker opened', {
+        consecutiveFailures: breaker.consecutiveFailures,
+        cooldownMs: BREAKER_COOLDOWN_MS,
+      });
+    }
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+};
+
+/**
+ * Let a call through the circuit breaker or fail it fast
+ * Once the cooldown has passed a single trial call is allowed
+ * @returns {boolean} - True when this call is the half-open trial
+ */
+const passBreaker = () => {
+  if (breaker.state === 'open' && Date.now() - breaker.openedAt >= BREAKER_COOLDOWN_MS) {
+    breaker.state = 'half-open';
+  }
+
+  if (breaker.state === 'closed') return false;
+
+  if (breaker.state === 'half-open' && !breaker.trialInProgress) {
+    breaker.trialInProgress = true;
+    return true;
+  }
+
+  stats.failedFast += 1;
+  const retryAfterMs = breaker.state === 'open'
+    ? breaker.openedAt + BREAKER_COOLDOWN_MS - Date.now()
+    : BREAKER_COOLDOWN_MS;
+  throw upstreamBusyError(
+    'The iTunes API is currently unavailable. Please try again later.',
+    503,
+    retryAfterMs / 1000
+  );
+};
+
+/**
+ * Add the tokens earned since the last refill
+ */
+const refill = () => {
+  const now = Date.now();
+  bucket.tokens = Math.min(BURST_SIZE, bucket.tokens + (now - bucket.refilledAt) * TOKENS_PER_MS);
+  bucket.refilledAt = now;
+};
+
+/**
+ * Milliseconds until the next request may be sent
+ * @returns {number} - 0 when a token is available now
+ */
+const msUntilNextToken = () => {
+  const pause = Math.max(0, bucket.pausedUntil - Date.now());
+  const refillWait = bucket.tokens >= 1 ? 0 : (1 - bucket.tokens) / TOKENS_PER_MS;
+  return Math.max(pause, Math.ceil(refillWait));
+};
+
+/**
+ * Take a token if one is available
+ * @returns {boolean} - True when the request may be sent now
+ */
+const tryTakeToken = () => {
+  refill();
+  if (Date.now() < bucket.pausedUntil || bucket.tokens < 1) return false;
+  bucket.tokens -= 1;
+  return true;
+};
+
+/**
+ * Estimate how long a newly queued request would wait
+ * @param {number} position - Requests that would be sent before it
+ * @returns {number} - Seconds
+ */
+const estimateWaitSeconds = (position) => {
+  return (msUntilNextToken() + position / TOKENS_PER_MS) / 1000;
+};
+
+/**
+ * Send a request to Apple and slow down if we are told to
+ * In replay mode the recording answers instead, and nothing else is touched
+ * @param {string} url - iTunes API URL
+ * @returns {Promise<Object>} - Axios response
+ */
+const send = async (url) => {
+  stats.sent += 1;
+
+  if (recorder.isReplaying) {
+    return recorder.replay(url);
+  }
+
+  try {
+    const response = await axios.get(url, REQUEST_OPTIONS);
+    if (recorder.isRecording) recorder.record(url, { response });
+    recordOutcome(true);
+    return response;
+  } catch (error) {
+    if (recorder.isRecording) recorder.record(url, { error });
+    if (isTransientFailure(error)) {
+      recordOutcome(false);
+    }
+    if (error.response?.status === 403 || error.response?.status === 429) {
+      stats.throttled += 1;
+      bucket.tokens = 0;
+      bucket.pausedUntil = Date.now() + THROTTLED_PAUSE_MS;
+      logger.warn('iTunes API is throttling requests, pausing outbound calls', {
+        status: error.response.status,
+        pauseMs: THROTTLED_PAUSE_MS,
+      });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Remove a waiting request from its caller's queue
+ * @param {Object} pending - Queued request
+ */
+const removeFromQueue = (pending) => {
+  const queue = queues.get(pending.callerKey);
+  if (!queue) return;
+
+  const index = queue.indexOf(pending);
+  if (index === -1) return;
+
+  queue.splice(index, 1);
+  queuedCount -= 1;
+  if (queue.length === 0) {
+    queues.delete(pending.callerKey);
+    turnOrder = turnOrder.filter(key => key !== pending.callerKey);
+  }
+};
+
+/**
+ * Release waiting requests, one caller at a time, while tokens are available
+ */
+const drain = () => {
+  drainTimer = null;
+
+  while (queuedCount > 0 && tryTakeToken()) {
+    // The caller at the front takes one request and goes to the back of the line
+    const callerKey = turnOrder.shift();
+    const queue = queues.get(callerKey);
+    const pending = queue.shift();
+    queuedCount -= 1;
+
+    if (queue.length > 0) {
+      turnOrder.push(callerKey);
+    } else {
+      queues.delete(callerKey);
+    }
+
+    clearTimeout(pending.timer);
+    logger.debug('iTunes API request released from queue', {
+      callerKey,
+      waitedMs: Date.now() - pending.queuedAt,
+    });
+    send(pending.url).then(pending.resolve, pending.reject);
+  }
+
+  if (queuedCount > 0) {
+    drainTimer = setTimeout(drain, msUntilNextToken());
+    drainTimer.unref();
+  }
+};
+
+/**
+ * Send a request once a token is available, waiting in the caller's queue if needed
+ * @param {string} url - iTunes API URL
+ * @param {string} callerKey - Who the request is made for
+ * @returns {Promise<Object>} - Axios response
+ */
+const schedule = (url, callerKey) => {
+  if (queuedCount === 0 && tryTakeToken()) {
+    return send(url);
+  }
+
+  const callerQueue = queues.get(callerKey) || [];
+
+  if (callerQueue.length >= QUEUE_SIZE_PER_CALLER) {
+    stats.rejected += 1;
+    logger.warn('iTunes API queue rejected request: caller has too many waiting', {
+      callerKey,
+      waiting: callerQueue.length,
+    });
+    return Promise.reject(upstreamBusyError(
+      'Too many of your requests are already waiting for the iTunes API. Please slow down.',
+      429,
+      estimateWaitSeconds(callerQueue.length)
+    ));
+  }
+
+  if (queuedCount >= QUEUE_SIZE) {
+    stats.rejected += 1;
+    logger.warn('iTunes API queue rejected request: queue is full', {
+      callerKey,
+      waiting: queuedCount,
+    });
+    return Promise.reject(upstreamBusyError(
+      'The iTunes API is busy. Please try again later.',
+      503,
+      estimateWaitSeconds(queuedCount)
+    ));
+  }
+
+  return new Promise((resolve, reject) => {
+    const pending = { url, callerKey, resolve, reject, queuedAt: Date.now() };
+
+    pending.timer = setTimeout(() => {
+      removeFromQueue(pending);
+      stats.timedOut += 1;
+      logger.warn('iTunes API request waited too long in queue', {
+        callerKey,
+        waitedMs: MAX_WAIT_MS,
+      });
+      reject(upstreamBusyError(
+        'The iTunes API is busy. Please try again later.',
+        503,
+        estimateWaitSeconds(queuedCount)
+      ));
+    }, MAX_WAIT_MS);
+
+    if (!queues.has(callerKey)) {
+      queues.set(callerKey, callerQueue);
+      turnOrder.push(callerKey);
+    }
+    callerQueue.push(pending);
+    queuedCount += 1;
+    stats.queued += 1;
+
+    if (!drainTimer) {
+      drainTimer = setTimeout(drain, msUntilNextToken());
+      drainTimer.unref();
+    }
+  });
+};
+
+/**
+ * Call the iTunes API, waiting for a turn when the request budget is used up
+ * and retrying transient failures
+ * @param {string} url - iTunes API URL (search or lookup endpoint)
+ * @param {string} callerKey - Who the request is made for (user, API key or IP)
+ * @returns {Promise<Object>} - Axios response
+ */
+const get = async (url, callerKey = 'anonymous') => {
+  if (recorder.isReplaying) {
+    return send(url);
+  }
+
+  const isTrial = passBreaker();
+
+  try {
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        return await schedule(url, callerKey);
+      } catch (error) {
+        // The half-open trial gets a single attempt, and an open breaker stops retries
+        const canRetry = !isTrial && breaker.state === 'closed' && attempt < MAX_RETRIES;
+        if (error.name === 'UpstreamBusyError' || !isTransientFailure(error) || !canRetry) {
+          throw error;
+        }
+
+        const delayMs = Math.random() * Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+        stats.retried += 1;
+        logger.warn('Retrying iTunes API request', {
+          url,
+          attempt: attempt + 1,
+          delayMs: Math.round(delayMs),
+          error: error.message,
+        });
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  } finally {
+    if (isTrial) breaker.trialInProgress = false;
+  }
+};
+
+/**
+ * Current state of the circuit breaker
+ * @returns {Object} - State, failures in a row and when the next trial call is allowed
+ */
+const getCircuitState = () => ({
+  state: breaker.state,
+  consecutiveFailures: breaker.consecutiveFailures,
+  openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+  retryAt: breaker.state === 'open' ? new Date(breaker.openedAt + BREAKER_COOLDOWN_MS).toISOString() : null,
+});
+
+/**
+ * Current state of the request budget and queue
+ * @returns {Object} - Budget, queue length and counters since start
+ */
+const getStats = () => {
+  refill();
+  return {
+    requestsPerMinute: REQUESTS_PER_MINUTE,
+    availableRequests: Math.floor(bucket.tokens),
+    pausedUntil: bucket.pausedUntil > Date.now() ? new Date(bucket.pausedUntil).toISOString() : null,
+    waiting: queuedCount,
+    callersWaiting: queues.size,
+    circuitBreaker: getCircuitState(),
+    recordingMode: recorder.MODE,
+    ...stats,
+  };
+};
+
+module.exports = {
+  ITUNES_SEARCH_ENDPOINT,
+  ITUNES_LOOKUP_ENDPOINT,
+  get,
+  getCircuitState,
+  getStats,
+};
@@ -0,0 +1,142 @@
+/**
+ * iTunes Recorder
+ * Records iTunes API traffic to disk and plays it back, so a bug can be reproduced
+ * with the exact payloads that triggered it and the backend can run without network
+ *
+ * ITUNES_RECORDING_MODE selects what happens to calls made by the iTunes client:
+ * - off (default): calls go to Apple
+ * - record: calls go to Apple and every response (or failure) is saved
+ * - replay: calls are answered from the saved recordings only; a request that
+ *   was never recorded fails with a RecordingMissError
+ *
+ * Recordings are keyed on the normalized request URL (see normalizeUrl), one file
+ * per request. Recording the same request again replaces the earlier file.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const MODES = ['off', 'record', 'replay'];
+const MODE = process.env.ITUNES_RECORDING_MODE || 'off';
+const RECORDINGS_DIR = process.env.ITUNES_RECORDINGS_DIR || path.join(__dirname, '../fixtures/itunes');
+
+if (!MODES.includes(MODE)) {
+  throw new Error(`Unknown ITUNES_RECORDING_MODE "${MODE}". Valid modes: ${MODES.join(', ')}`);
+}
+
+if (MODE === 'record' && !fs.existsSync(RECORDINGS_DIR)) {
+  fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+}
+
+/**
+ * Normalize a request URL so the same request always gets the same recording
+ * Parameters are sorted, empty ones dropped, whitespace in values collapsed and
+ * everything encoded the same way
+ * @param {string} url - iTunes API URL
+ * @returns {string} - Normalized URL
+ */
+const normalizeUrl = (url) => {
+  const parsed = new URL(url);
+  const params = Array.from(parsed.searchParams, ([name, value]) => [name, value.replace(/\s+/g, ' ').trim()])
+    .filter(([, value]) => value !== '')
+    .sort(([nameA, valueA], [nameB, valueB]) => nameA.localeCompare(nameB) || valueA.localeCompare(valueB));
+
+  return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}?${new URLSearchParams(params).toString()}`;
+};
+
+/**
+ * Path of the recording of a request
+ * @param {string} normalizedUrl - Normalized request URL
+ * @returns {string} - File path, e.g. fixtures/itunes/search-3f2a....json
+ */
+const getRecordingPath = (normalizedUrl) => {
+  const endpoint = new URL(normalizedUrl).pathname.split('/').pop() || 'request';
+  const hash = crypto.createHash('sha256').update(normalizedUrl).digest('hex').slice(0, 16);
+  return path.join(RECORDINGS_DIR, `${endpoint}-${hash}.json`);
+};
+
+/**
+ * Save the outcome of a call
+ * HTTP error responses are saved like successful ones; network failures keep their code
+ * @param {string} url - iTunes API URL
+ * @param {Object} outcome - { response } (Axios response) or { error } (Axios error)
+ */
+const record = (url, { response, error }) => {
+  const normalizedUrl = normalizeUrl(url);
+  const filePath = getRecordingPath(normalizedUrl);
+  const upstreamResponse = response || error.response;
+
+  const recording = {
+    request: { method: 'GET', url: normalizedUrl },
+    ...(upstreamResponse
+      ? { response: { status: upstreamResponse.status, data: upstreamResponse.data } }
+      : { error: { code: error.code || null, message: error.message } }),
+    recordedAt: new Date().toISOString(),
+  };
+
+  try {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(recording, null, 2));
+    fs.renameSync(tempPath, filePath);
+    logger.debug('iTunes API call recorded', { url: normalizedUrl, file: filePath });
+  } catch (writeError) {
+    logger.error('Failed to record iTunes API call', {
+      url: normalizedUrl,
+      file: filePath,
+      error: writeError.message,
+    });
+  }
+};
+
+/**
+ * Answer a call from its recording, the way Axios would have
+ * @param {string} url - iTunes API URL
+ * @returns {Object} - Axios-like response; recorded failures are thrown as Axios-like errors
+ */
+const replay = (url) => {
+  const normalizedUrl = normalizeUrl(url);
+  const filePath = getRecordingPath(normalizedUrl);
+
+  if (!fs.existsSync(filePath)) {
+    logger.error('No recording for iTunes API request', { url: normalizedUrl, file: filePath });
+
+    const error = new Error(`No recorded iTunes response for ${normalizedUrl} (expected ${filePath}). `
+      + 'Record it with ITUNES_RECORDING_MODE=record.');
+    error.name = 'RecordingMissError';
+    error.url = normalizedUrl;
+    error.file = filePath;
+    throw error;
+  }
+
+  const recording = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const config = { url };
+
+  if (recording.error) {
+    const error = new Error(recording.error.message);
+    error.code = recording.error.code || undefined;
+    error.config = config;
+    throw error;
+  }
+
+  const response = { status: recording.response.status, data: recording.response.data, headers: {}, config };
+  if (response.status >= 200 && response.status < 300) {
+    return response;
+  }
+
+  const error = new Error(`Request failed with status code ${response.status}`);
+  error.response = response;
+  error.config = config;
+  throw error;
+};
+
+module.exports = {
+  MODE,
+  RECORDINGS_DIR,
+  isRecording: MODE === 'record',
+  isReplaying: MODE === 'replay',
+  normalizeUrl,
+  record,
+  replay,
+};
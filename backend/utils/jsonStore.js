@@ -0,0 +1,85 @@
+/**
+ * JSON Store Utility
+ * Minimal file-backed persistence for small collections (users, tokens, keys)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Ensure data directory exists
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+if (!fs.existsSync(dataDir)) {
+  fs.mkdirSync(dataDir, { recursive: true });
+}
+
+/**
+ * Create a store backed by a single JSON file in the data directory
+ * Data is loaded lazily, kept in memory and written back atomically on save
+ * @param {string} name - Store name (used as the file name)
+ * @param {Function} createDefault - Returns the initial value for a new store
+ * @returns {Object} - Store with read, write and update methods
+ */
+const createJsonStore = (name, createDefault = () => ({})) => {
+  const filePath = path.join(dataDir, `${name}.json`);
+  let data = null;
+
+  const load = () => {
+    if (data !== null) return data;
+
+    try {
+      data = fs.existsSync(filePath)
+        ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+        : createDefault();
+    } catch (error) {
+      logger.error(`Failed to load ${name} store, starting empty`, {
+        error: error.message,
+        file: filePath,
+      });
+      data = createDefault();
+    }
+
+    return data;
+  };
+
+  const save = () => {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  return {
+    /**
+     * Get the current store contents
+     * @returns {*} - Store data
+     */
+    read: () => load(),
+
+    /**
+     * Replace the store contents and persist them
+     * @param {*} value - New store data
+     */
+    write: (value) => {
+      data = value;
+      save();
+    },
+
+    /**
+     * Mutate the store contents in place and persist them
+     * @param {Function} mutator - Receives the data; its return value is passed through
+     * @returns {*} - Whatever the mutator returned
+     */
+    update: (mutator) => {
+      const result = mutator(load());
+      save();
+      return result;
+    },
+
+    filePath,
+  };
+};
+
+module.exports = {
+  createJsonStore,
+  dataDir,
+};
@@ -173,6 +173,7 @@ const logger = {
       ip: req.ip,
       userAgent: req.get('User-Agent'),
       userId: req.user?.userId,
+      apiKeyId: req.user?.apiKeyId,
     };
     
     const level = res.statusCode >= 400 ? 'WARN' : 'INFO';
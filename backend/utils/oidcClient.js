@@ -0,0 +1,263 @@
+/**
+ * OpenID Connect Client
+ * Authorization code + PKCE login against any configured OIDC issuer
+ *
+ * A login in progress (state, nonce and PKCE verifier) is kept in an encrypted cookie
+ * in the browser that started it, not on the server, so the callback can be handled
+ * by any backend instance and abandoned logins leave nothing behind.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const logger = require('./logger');
+
+// Provider configuration
+const OIDC_CONFIG = {
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scopes: process.env.OIDC_SCOPES || 'openid profile email',
+  postLoginRedirect: process.env.OIDC_POST_LOGIN_REDIRECT,
+};
+
+// Key encrypting the login cookie; instances behind one load balancer must share OIDC_STATE_SECRET
+const STATE_KEY = crypto.createHash('sha256')
+  .update(process.env.OIDC_STATE_SECRET || crypto.randomBytes(32))
+  .digest();
+
+// How long a login attempt may take between redirect and callback
+const PENDING_LOGIN_TTL_MS = 10 * 60 * 1000;
+
+// Discovery document and JWKS are cached to avoid a round trip per login
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+const HTTP_OPTIONS = {
+  timeout: 10000,
+  headers: { 'Accept': 'application/json' },
+};
+
+let metadataCache = null;
+let jwksCache = null;
+
+/**
+ * Create an error the auth routes turn into a response
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status to respond with
+ * @returns {Error} - OidcError
+ */
+const oidcError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.name = 'OidcError';
+  error.statusCode = statusCode;
+  return error;
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Check whether an identity provider has been configured
+ * @returns {boolean} - True when issuer, client id and redirect URI are set
+ */
+const isConfigured = () => {
+  return Boolean(OIDC_CONFIG.issuer && OIDC_CONFIG.clientId && OIDC_CONFIG.redirectUri);
+};
+
+/**
+ * Fetch the issuer's discovery document
+ * @returns {Promise<Object>} - OpenID provider metadata
+ */
+const getMetadata = async () => {
+  if (metadataCache && Date.now() - metadataCache.fetchedAt < METADATA_TTL_MS) {
+    return metadataCache.metadata;
+  }
+
+  const { data } = await axios.get(`${OIDC_CONFIG.issuer}/.well-known/openid-configuration`, HTTP_OPTIONS);
+
+  if (data.issuer?.replace(/\/$/, '') !== OIDC_CONFIG.issuer) {
+    throw oidcError(`Discovery document issuer "${data.issuer}" does not match OIDC_ISSUER`, 502);
+  }
+
+  metadataCache = { metadata: data, fetchedAt: Date.now() };
+  return data;
+};
+
+/**
+ * Find the issuer's public key for an ID token
+ * The JWKS is re-fetched once when the kid is unknown, to pick up key rotation
+ * @param {string} kid - Key id from the ID token header
+ * @returns {Promise<Object>} - Public KeyObject
+ */
+const getIssuerKey = async (kid) => {
+  const findKey = () => jwksCache?.keys.find(key => !kid || key.kid === kid);
+
+  const isStale = !jwksCache || Date.now() - jwksCache.fetchedAt >= METADATA_TTL_MS;
+  if (isStale || !findKey()) {
+    const metadata = await getMetadata();
+    const { data } = await axios.get(metadata.jwks_uri, HTTP_OPTIONS);
+    jwksCache = { keys: data.keys || [], fetchedAt: Date.now() };
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw oidcError('ID token was signed with an unknown key', 401);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Encrypt a login in progress for the login cookie
+ * @param {Object} login - state, nonce, codeVerifier and createdAt
+ * @returns {string} - Cookie value
+ */
+const sealLogin = (login) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', STATE_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(login), 'utf8'), cipher.final()]);
+  return base64url(Buffer.concat([iv, cipher.getAuthTag(), encrypted]));
+};
+
+/**
+ * Decrypt the login cookie
+ * @param {string} sealed - Cookie value
+ * @returns {Object|null} - The login, or null when the cookie is missing or was tampered with
+ */
+const unsealLogin = (sealed) => {
+  try {
+    const buffer = Buffer.from(String(sealed), 'base64url');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', STATE_KEY, buffer.subarray(0, 12));
+    decipher.setAuthTag(buffer.subarray(12, 28));
+    return JSON.parse(Buffer.concat([decipher.update(buffer.subarray(28)), decipher.final()]).toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Start a login: create state, nonce and PKCE verifier and build the authorization URL
+ * @returns {Promise<Object>} - Authorization URL, state and the login cookie value
+ */
+const createAuthorizationRequest = async () => {
+  const metadata = await getMetadata();
+
+  const state = base64url(crypto.randomBytes(16));
+  const nonce = base64url(crypto.randomBytes(16));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: OIDC_CONFIG.clientId,
+    redirect_uri: OIDC_CONFIG.redirectUri,
+    scope: OIDC_CONFIG.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  });
+
+  return {
+    authorizationUrl: `${metadata.authorization_endpoint}?${params.toString()}`,
+    state,
+    loginCookie: sealLogin({ state, nonce, codeVerifier, createdAt: Date.now() }),
+  };
+};
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - True when both are equal
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Finish a login: exchange the code and verify the returned ID token
+ * The state must match the login cookie of the browser that started the login, so a
+ * callback URL from someone else's login can't sign this browser in
+ * @param {string} code - Authorization code from the callback
+ * @param {string} state - State from the callback
+ * @param {string} loginCookie - Login cookie set by /oidc/login
+ * @returns {Promise<Object>} - Verified ID token claims
+ */
+const handleCallback = async (code, state, loginCookie) => {
+  const login = loginCookie ? unsealLogin(loginCookie) : null;
+
+  if (!login || !state || !safeEqual(login.state, state)) {
+    throw oidcError('Login was not started from this browser. Please start the login again.');
+  }
+
+  if (Date.now() - login.createdAt > PENDING_LOGIN_TTL_MS) {
+    throw oidcError('Login has expired. Please start the login again.');
+  }
+
+  if (!code) {
+    throw oidcError('Authorization code is missing');
+  }
+
+  const metadata = await getMetadata();
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: OIDC_CONFIG.redirectUri,
+    client_id: OIDC_CONFIG.clientId,
+    code_verifier: login.codeVerifier,
+  });
+  if (OIDC_CONFIG.clientSecret) {
+    body.append('client_secret', OIDC_CONFIG.clientSecret);
+  }
+
+  let tokenResponse;
+  try {
+    tokenResponse = await axios.post(metadata.token_endpoint, body.toString(), {
+      ...HTTP_OPTIONS,
+      headers: { ...HTTP_OPTIONS.headers, 'Content-Type': 'application/x-www-form-urlencoded' },
+    });
+  } catch (error) {
+    logger.warn('OIDC token exchange failed', {
+      status: error.response?.status,
+      error: error.response?.data?.error || error.message,
+    });
+    throw oidcError('The identity provider rejected the authorization code', 401);
+  }
+
+  const idToken = tokenResponse.data.id_token;
+  if (!idToken) {
+    throw oidcError('The identity provider did not return an ID token', 502);
+  }
+
+  const header = jwt.decode(idToken, { complete: true })?.header;
+  const publicKey = await getIssuerKey(header?.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, publicKey, {
+      algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+      issuer: metadata.issuer,
+      audience: OIDC_CONFIG.clientId,
+    });
+  } catch (error) {
+    throw oidcError(`ID token verification failed: ${error.message}`, 401);
+  }
+
+  if (claims.nonce !== login.nonce) {
+    throw oidcError('ID token nonce does not match the login request', 401);
+  }
+
+  return claims;
+};
+
+module.exports = {
+  OIDC_CONFIG,
+  PENDING_LOGIN_TTL_MS,
+  isConfigured,
+  createAuthorizationRequest,
+  handleCallback,
+};
@@ -0,0 +1,207 @@
+/**
+ * Rate Limiting
+ * Per-caller, per-plan rate limiters with a pluggable counter store
+ *
+ * Callers are identified by API key, then user id, then IP address.
+ * Counters live in process memory by default; set RATE_LIMIT_STORE=redis
+ * to share them between backend instances through any Redis-compatible server.
+ */
+
+const rateLimit = require('express-rate-limit');
+const { MemoryStore } = require('express-rate-limit');
+const logger = require('./logger');
+
+// Requests allowed per window for each plan
+const RATE_LIMIT_TIERS = {
+  anonymous: { global: 100, search: 20 },
+  free: { global: 300, search: 20 },
+  pro: { global: 1000, search: 60 },
+  admin: { global: 2000, search: 120 },
+};
+
+// Plans an account can be put on
+const VALID_PLANS = ['free', 'pro'];
+
+const RATE_LIMIT_STORE = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+
+let redisClient = null;
+
+/**
+ * Get the shared Redis client, connecting on first use
+ * @returns {Object} - ioredis client
+ */
+const getRedisClient = () => {
+  if (!redisClient) {
+    const Redis = require('ioredis');
+    redisClient = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
+      enableOfflineQueue: false,
+      maxRetriesPerRequest: 1,
+    });
+    redisClient.on('error', (error) => {
+      logger.error('Rate limit store connection error', { error: error.message });
+    });
+  }
+  return redisClient;
+};
+
+// Increment a counter and start its window on the first hit, atomically
+const INCREMENT_SCRIPT = `
+  local hits = redis.call('INCR', KEYS[1])
+  if hits == 1 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  end
+  return { hits, redis.call('PTTL', KEYS[1]) }
+`;
+
+/**
+ * express-rate-limit store that keeps counters in a Redis-compatible server
+ * When the server can't be reached, requests are let through rather than failed, so a
+ * Redis outage doesn't take the API down with it
+ */
+class RedisStore {
+  /**
+   * @param {string} prefix - Key prefix separating this limiter's counters
+   */
+  constructor(prefix) {
+    this.prefix = `ratelimit:${prefix}:`;
+    this.localKeys = false;
+    this.unavailable = false;
+  }
+
+  /**
+   * Log the first failure of an outage; requests go on unlimited until the store is back
+   * @param {Error} error - Store error
+   */
+  handleError(error) {
+    if (!this.unavailable) {
+      this.unavailable = true;
+      logger.error('Rate limit store unavailable, requests are not being limited', {
+        store: this.prefix,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Note that the store answers again after an outage
+   */
+  handleSuccess() {
+    if (this.unavailable) {
+      this.unavailable = false;
+      logger.info('Rate limit store available again', { store: this.prefix });
+    }
+  }
+
+  /**
+   * Called by express-rate-limit with the limiter options
+   * @param {Object} options - Limiter options
+   */
+  init(options) {
+    this.windowMs = options.windowMs;
+    this.client = getRedisClient();
+  }
+
+  /**
+   * Count a hit for a key
+   * @param {string} key - Caller key
+   * @returns {Promise<Object>} - Total hits and when the window resets
+   */
+  async increment(key) {
+    try {
+      const [totalHits, ttl] = await this.client.eval(INCREMENT_SCRIPT, 1, this.prefix + key, this.windowMs);
+      this.handleSuccess();
+      return {
+        totalHits,
+        resetTime: new Date(Date.now() + (ttl > 0 ? ttl : this.windowMs)),
+      };
+    } catch (error) {
+      this.handleError(error);
+      return { totalHits: 0, resetTime: new Date(Date.now() + this.windowMs) };
+    }
+  }
+
+  /**
+   * Undo a hit (used by skipSuccessfulRequests/skipFailedRequests)
+   * @param {string} key - Caller key
+   */
+  async decrement(key) {
+    try {
+      await this.client.decr(this.prefix + key);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  /**
+   * Reset a caller's counter
+   * @param {string} key - Caller key
+   */
+  async resetKey(key) {
+    try {
+      await this.client.del(this.prefix + key);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+}
+
+/**
+ * Create the counter store for one limiter
+ * @param {string} name - Limiter name (keeps counters of different limiters apart)
+ * @returns {Object} - express-rate-limit store
+ */
+const createStore = (name) => {
+  if (RATE_LIMIT_STORE === 'redis') {
+    return new RedisStore(name);
+  }
+  return new MemoryStore();
+};
+
+/**
+ * Identify the caller a request is counted against
+ * @param {Object} req - Express request object
+ * @returns {string} - Counter key
+ */
+const getCallerKey = (req) => {
+  if (req.user?.apiKeyId) return `apiKey:${req.user.apiKeyId}`;
+  if (req.user?.userId) return `user:${req.user.userId}`;
+  return `ip:${req.ip}`;
+};
+
+/**
+ * Work out which tier of limits applies to the caller
+ * @param {Object} req - Express request object
+ * @returns {string} - Key of RATE_LIMIT_TIERS
+ */
+const getTier = (req) => {
+  if (!req.user) return 'anonymous';
+  if (req.user.role === 'admin') return 'admin';
+  return RATE_LIMIT_TIERS[req.user.plan] ? req.user.plan : 'free';
+};
+
+/**
+ * Create a limiter whose quota depends on the caller's plan
+ * @param {Object} options - name, windowMs, tierLimit (key in RATE_LIMIT_TIERS) and the 429 message
+ * @returns {Function} - Express middleware
+ */
+const createTieredLimiter = ({ name, windowMs, tierLimit, message, ...options }) => {
+  return rateLimit({
+    windowMs,
+    limit: (req) => RATE_LIMIT_TIERS[getTier(req)][tierLimit],
+    keyGenerator: getCallerKey,
+    store: createStore(name),
+    standardHeaders: true,
+    legacyHeaders: false,
+    message,
+    ...options,
+  });
+};
+
+module.exports = {
+  RATE_LIMIT_TIERS,
+  VALID_PLANS,
+  createStore,
+  createTieredLimiter,
+  getCallerKey,
+  getTier,
+};
@@ -0,0 +1,225 @@
+/**
+ * Result Filters
+ * Server-side filtering, sorting and facet counts for a window of raw iTunes results
+ */
+
+// Sort orders a search can ask for, and the direction each one defaults to
+const SORT_FIELDS = {
+  relevance: null,
+  releaseDate: 'desc',
+  price: 'asc',
+  duration: 'asc',
+  name: 'asc',
+};
+
+// Values of Apple's trackExplicitness / collectionExplicitness
+const EXPLICITNESS_VALUES = ['explicit', 'cleaned', 'notExplicit'];
+
+// Facets returned with every search, and how many values each lists at most
+const FACET_LIMIT = 20;
+
+/**
+ * Read the fields of an item that filters, sorts and facets use
+ * @param {Object} item - Raw iTunes item
+ * @returns {Object} - genre, year, kind, price, duration, name and explicitness
+ */
+const getFilterFields = (item) => {
+  const releaseTime = item.releaseDate ? new Date(item.releaseDate).getTime() : NaN;
+  const price = [item.trackPrice, item.collectionPrice, item.price].find(value => typeof value === 'number');
+
+  return {
+    genre: item.primaryGenreName || item.genres?.[0] || null,
+    year: isNaN(releaseTime) ? null : new Date(releaseTime).getUTCFullYear(),
+    releaseTime: isNaN(releaseTime) ? null : releaseTime,
+    kind: item.kind || item.wrapperType || null,
+    // Negative prices mean the item can't be bought on its own
+    price: price !== undefined && price >= 0 ? price : null,
+    duration: item.trackTimeMillis ?? null,
+    name: (item.trackName || item.collectionName || item.artistName || '').toLowerCase() || null,
+    explicitness: item.trackExplicitness || item.collectionExplicitness || null,
+  };
+};
+
+/**
+ * Split a comma-separated query parameter
+ * @param {string} value - Parameter value
+ * @returns {Array} - Trimmed, non-empty values
+ */
+const splitList = (value) => String(value || '').split(',').map(part => part.trim()).filter(Boolean);
+
+/**
+ * Read and validate the filter and sort parameters of a search
+ * @param {Object} query - Query string (genre, kind, yearFrom, yearTo, minPrice, maxPrice, free, explicitness, sort, order)
+ * @returns {Object} - filters, sort ({ by, order }) and errors
+ */
+const parseFilters = (query) => {
+  const errors = [];
+  const filters = {};
+
+  if (query.genre) filters.genre = splitList(query.genre).map(genre => genre.toLowerCase());
+  if (query.kind) filters.kind = splitList(query.kind);
+
+  ['yearFrom', 'yearTo'].forEach(name => {
+    if (query[name] === undefined) return;
+    const year = Number(query[name]);
+    if (!Number.isInteger(year) || year < 1000 || year > 9999) {
+      errors.push(`${name} must be a four-digit year`);
+    } else {
+      filters[name] = year;
+    }
+  });
+  if (filters.yearFrom && filters.yearTo && filters.yearFrom > filters.yearTo) {
+    errors.push('yearFrom must not be after yearTo');
+  }
+
+  ['minPrice', 'maxPrice'].forEach(name => {
+    if (query[name] === undefined) return;
+    const price = Number(query[name]);
+    if (query[name] === '' || isNaN(price) || price < 0) {
+      errors.push(`${name} must be a number of 0 or more`);
+    } else {
+      filters[name] = price;
+    }
+  });
+  if (query.free !== undefined) {
+    if (!['true', 'false'].includes(String(query.free))) {
+      errors.push('free must be true or false');
+    } else if (String(query.free) === 'true' && (query.minPrice !== undefined || query.maxPrice !== undefined)) {
+      errors.push('free=true cannot be combined with minPrice or maxPrice');
+    } else if (String(query.free) === 'true') {
+      filters.minPrice = 0;
+      filters.maxPrice = 0;
+    }
+  }
+  if (filters.minPrice > filters.maxPrice) {
+    errors.push('minPrice must not be above maxPrice');
+  }
+
+  if (query.explicitness) {
+    filters.explicitness = splitList(query.explicitness);
+    if (filters.explicitness.some(value => !EXPLICITNESS_VALUES.includes(value))) {
+      errors.push(`explicitness must be a comma-separated list of: ${EXPLICITNESS_VALUES.join(', ')}`);
+    }
+  }
+
+  const by = query.sort || 'relevance';
+  if (!Object.prototype.hasOwnProperty.call(SORT_FIELDS, by)) {
+    errors.push(`Invalid sort. Valid sorts: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+  if (query.order && !['asc', 'desc'].includes(query.order)) {
+    errors.push('order must be asc or desc');
+  }
+
+  return {
+    filters,
+    sort: { by, order: by === 'relevance' ? null : query.order || SORT_FIELDS[by] },
+    errors,
+  };
+};
+
+/**
+ * Check one filter against an item's fields
+ * @param {string} name - Filter name
+ * @param {*} value - Filter value
+ * @param {Object} fields - Item fields from getFilterFields
+ * @returns {boolean} - True when the item passes
+ */
+const matchesFilter = (name, value, fields) => {
+  switch (name) {
+    case 'genre':
+      return fields.genre !== null && value.includes(fields.genre.toLowerCase());
+    case 'kind':
+      return value.includes(fields.kind);
+    case 'yearFrom':
+      return fields.year !== null && fields.year >= value;
+    case 'yearTo':
+      return fields.year !== null && fields.year <= value;
+    case 'minPrice':
+      return fields.price !== null && fields.price >= value;
+    case 'maxPrice':
+      return fields.price !== null && fields.price <= value;
+    case 'explicitness':
+      return value.includes(fields.explicitness);
+    default:
+      return true;
+  }
+};
+
+/**
+ * Keep the items that pass every filter
+ * @param {Array} entries - { item, fields } pairs
+ * @param {Object} filters - Filters from parseFilters
+ * @param {Array} ignore - Filter names to leave out
+ * @returns {Array} - Entries that pass
+ */
+const filterEntries = (entries, filters, ignore = []) => {
+  const active = Object.entries(filters).filter(([name]) => !ignore.includes(name));
+  return entries.filter(({ fields }) => active.every(([name, value]) => matchesFilter(name, value, fields)));
+};
+
+/**
+ * Count the values of one field
+ * @param {Array} entries - { item, fields } pairs
+ * @param {string} field - Field name
+ * @returns {Array} - { value, count }, most common first
+ */
+const countValues = (entries, field) => {
+  const counts = new Map();
+  entries.forEach(({ fields }) => {
+    if (fields[field] !== null) counts.set(fields[field], (counts.get(fields[field]) || 0) + 1);
+  });
+  return Array.from(counts, ([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+    .slice(0, FACET_LIMIT);
+};
+
+/**
+ * Sort entries; items missing the sorted field go last
+ * @param {Array} entries - { item, fields } pairs in relevance order
+ * @param {Object} sort - { by, order }
+ * @returns {Array} - Sorted entries
+ */
+const sortEntries = (entries, { by, order }) => {
+  if (by === 'relevance') return entries;
+
+  const field = { releaseDate: 'releaseTime', price: 'price', duration: 'duration', name: 'name' }[by];
+  const direction = order === 'desc' ? -1 : 1;
+
+  return [...entries].sort((a, b) => {
+    const left = a.fields[field];
+    const right = b.fields[field];
+    if (left === null || right === null) return (left === null) - (right === null);
+    if (left === right) return 0;
+    return (left < right ? -1 : 1) * direction;
+  });
+};
+
+/**
+ * Filter and sort a window of results and count its facets
+ * Each facet is counted with every filter except its own, so the counts show
+ * what choosing another value would return
+ * @param {Array} results - Raw iTunes items, in relevance order
+ * @param {Object} options - filters and sort from parseFilters
+ * @returns {Object} - results (filtered and sorted) and facets (genres, years, kinds)
+ */
+const refineResults = (results, { filters, sort }) => {
+  const entries = results.map(item => ({ item, fields: getFilterFields(item) }));
+
+  const facets = {
+    genres: countValues(filterEntries(entries, filters, ['genre']), 'genre'),
+    years: countValues(filterEntries(entries, filters, ['yearFrom', 'yearTo']), 'year')
+      .sort((a, b) => b.value - a.value),
+    kinds: countValues(filterEntries(entries, filters, ['kind']), 'kind'),
+  };
+
+  return {
+    results: sortEntries(filterEntries(entries, filters), sort).map(({ item }) => item),
+    facets,
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  parseFilters,
+  refineResults,
+};
@@ -0,0 +1,292 @@
+/**
+ * Result Model
+ * Normalized, typed shape of iTunes items returned by version 2 of the search API
+ *
+ * Version 1 responses spread Apple's raw fields and add a few derived ones.
+ * Version 2 responses only contain the fields documented below: Apple's names
+ * are mapped to ours, dates are ISO 8601 and prices are numbers with a currency.
+ *
+ * Both versions identify items the same way (see getItemId).
+ */
+
+const crypto = require('crypto');
+
+// Response versions clients can ask for (?version= or the Accept-Version header)
+const RESPONSE_VERSIONS = ['1', '2'];
+const DEFAULT_RESPONSE_VERSION = '1';
+
+// Apple's id field for each result type (others use trackId, then collectionId)
+const ID_FIELDS = {
+  artist: ['artistId'],
+  collection: ['collectionId'],
+};
+
+// Search media type for each kind
+const MEDIA_BY_KIND = {
+  song: 'music',
+  album: 'music',
+  'music-video': 'musicVideo',
+  'feature-movie': 'movie',
+  'tv-episode': 'tvShow',
+  podcast: 'podcast',
+  'podcast-episode': 'podcast',
+  software: 'software',
+  'mac-software': 'software',
+  ebook: 'ebook',
+};
+
+// Fields hashed into the id of an item iTunes gave no id for
+const HASHED_ID_FIELDS = ['kind', 'trackName', 'collectionName', 'artistName', 'releaseDate'];
+
+/**
+ * Fields every normalized item has
+ * @typedef {Object} ResultItem
+ * @property {string} id - Stable identifier, e.g. "track:1440857781", or "track:h-<hash>" without an iTunes id
+ * @property {string} type - track, collection, artist, podcast, software or ebook
+ * @property {number|null} itunesId - Apple's id for the item
+ * @property {string|null} name - Title of the item
+ * @property {string|null} kind - Apple's kind (song, feature-movie, podcast, ...)
+ * @property {Object|null} artist - { id, name } of the artist, author or developer
+ * @property {string|null} genre - Primary genre
+ * @property {string|null} releaseDate - ISO 8601 date and time
+ * @property {string|null} artworkUrl - 600x600 artwork
+ * @property {string|null} url - Store page
+ * @property {Object} price - { amount, currency }; amount is null when the item can't be bought on its own
+ * @property {boolean} explicit - Whether the item is marked explicit
+ */
+
+/**
+ * Work out which model an iTunes item maps to
+ * @param {Object} item - Raw iTunes item
+ * @returns {string} - Result type
+ */
+const getResultType = (item) => {
+  if (item.wrapperType === 'artist') return 'artist';
+  if (item.kind === 'podcast' || item.kind === 'podcast-episode') return 'podcast';
+  if (item.wrapperType === 'software' || item.kind === 'software' || item.kind === 'mac-software') return 'software';
+  if (item.kind === 'ebook') return 'ebook';
+  if (item.wrapperType === 'collection' || item.wrapperType === 'audiobook') return 'collection';
+  return 'track';
+};
+
+/**
+ * Search media type (the media parameter of a search) an iTunes item belongs to
+ * @param {Object} item - Raw iTunes item
+ * @returns {string|null} - Media type, or null when unknown
+ */
+const getMediaType = (item) => {
+  if (item.wrapperType === 'audiobook') return 'audiobook';
+  if (item.kind && MEDIA_BY_KIND[item.kind]) return MEDIA_BY_KIND[item.kind];
+  if (item.wrapperType === 'collection' && item.collectionType === 'Album') return 'music';
+  if (item.wrapperType === 'artist') return item.artistType === 'Artist' ? 'music' : null;
+  return null;
+};
+
+/**
+ * Apple's id for an item, read from the field that matches its result type
+ * @param {Object} item - Raw iTunes item
+ * @returns {number|null} - iTunes id
+ */
+const getItunesId = (item) => {
+  const type = getResultType(item);
+  return (ID_FIELDS[type] || ['trackId', 'collectionId']).map(field => item[field]).find(Boolean) || null;
+};
+
+/**
+ * Stable identifier of an item, namespaced by result type
+ * Tracks and collections can share an iTunes id, so the type is part of the id.
+ * Items without an iTunes id get a hash of their descriptive fields instead,
+ * which stays the same from one request to the next.
+ * @param {Object} item - Raw iTunes item
+ * @returns {string} - Identifier such as "track:1440857781" or "track:h-3f2a9c01b7de"
+ */
+const getItemId = (item) => {
+  const type = getResultType(item);
+  const itunesId = getItunesId(item);
+  if (itunesId) return `${type}:${itunesId}`;
+
+  const content = HASHED_ID_FIELDS.map(field => item[field] ?? '').join('|');
+  return `${type}:h-${crypto.createHash('sha1').update(content).digest('hex').slice(0, 12)}`;
+};
+
+/**
+ * Key under which copies of the same recording match
+ * iTunes lists a track once per collection it appears on (album, compilation,
+ * deluxe edition), each time with a different trackId.
+ * @param {Object} item - Raw iTunes item
+ * @returns {string|null} - Match key, or null for items that are never merged
+ */
+const getRecordingKey = (item) => {
+  if (getResultType(item) !== 'track' || !item.trackName || !item.artistName) return null;
+
+  const normalize = (value) => value.toLowerCase().replace(/\s+/g, ' ').trim();
+  const seconds = item.trackTimeMillis ? Math.round(item.trackTimeMillis / 1000) : '';
+  return [item.kind || '', normalize(item.trackName), normalize(item.artistName), seconds].join('|');
+};
+
+/**
+ * Merge duplicate items in a list of raw iTunes results
+ * Exact duplicates (same id) are dropped. Copies of the same recording are
+ * folded into the first one, which lists the other collections in alsoAppearsOn.
+ * @param {Array} results - Raw iTunes items
+ * @returns {Array} - Items in their original order, without duplicates
+ */
+const mergeDuplicates = (results) => {
+  const seenIds = new Set();
+  const recordings = new Map();
+  const merged = [];
+
+  results.forEach(item => {
+    const id = getItemId(item);
+    if (seenIds.has(id)) return;
+    seenIds.add(id);
+
+    const recordingKey = getRecordingKey(item);
+    const original = recordingKey && recordings.get(recordingKey);
+    if (original) {
+      original.alsoAppearsOn.push({
+        trackId: item.trackId || null,
+        collectionId: item.collectionId || null,
+        collectionName: item.collectionName || null,
+      });
+      return;
+    }
+
+    const copy = recordingKey ? { ...item, alsoAppearsOn: [...(item.alsoAppearsOn || [])] } : item;
+    if (recordingKey) recordings.set(recordingKey, copy);
+    merged.push(copy);
+  });
+
+  return merged;
+};
+
+/**
+ * Convert an iTunes date to ISO 8601
+ * @param {string} value - Date from iTunes
+ * @returns {string|null} - ISO date, or null when missing or invalid
+ */
+const toIsoDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Read a price; iTunes uses negative prices for items that can't be bought on their own
+ * @param {number} value - Price from iTunes
+ * @returns {number|null} - Price, or null
+ */
+const toPrice = (value) => {
+  return typeof value === 'number' && value >= 0 ? value : null;
+};
+
+/**
+ * Largest artwork URL iTunes can serve for the item
+ * @param {Object} item - Raw iTunes item
+ * @returns {string|null} - 600x600 artwork URL
+ */
+const getArtworkUrl = (item) => {
+  const url = item.artworkUrl512 || item.artworkUrl100 || item.artworkUrl60 || item.artworkUrl30;
+  return url ? url.replace(/\/\d+x\d+(bb)?\./, '/600x600bb.') : null;
+};
+
+/**
+ * Fields that only exist on some result types
+ * @param {string} type - Result type
+ * @param {Object} item - Raw iTunes item
+ * @returns {Object} - Type-specific fields
+ */
+const getTypeFields = (type, item) => {
+  switch (type) {
+    case 'track':
+      return {
+        collection: item.collectionId ? { id: item.collectionId, name: item.collectionName || null } : null,
+        trackNumber: item.trackNumber ?? null,
+        trackCount: item.trackCount ?? null,
+        discNumber: item.discNumber ?? null,
+        durationMs: item.trackTimeMillis ?? null,
+        previewUrl: item.previewUrl || null,
+        alsoAppearsOn: (item.alsoAppearsOn || []).map(copy => ({
+          id: copy.trackId ? `track:${copy.trackId}` : null,
+          collection: copy.collectionId ? { id: copy.collectionId, name: copy.collectionName } : null,
+        })),
+      };
+    case 'collection':
+      return {
+        collectionType: item.collectionType || (item.wrapperType === 'audiobook' ? 'Audiobook' : null),
+        trackCount: item.trackCount ?? null,
+        copyright: item.copyright || null,
+        description: item.description || null,
+      };
+    case 'artist':
+      return {
+        artistType: item.artistType || null,
+      };
+    case 'podcast':
+      return {
+        feedUrl: item.feedUrl || null,
+        episodeCount: item.trackCount ?? null,
+        contentRating: item.contentAdvisoryRating || null,
+      };
+    case 'software':
+      return {
+        version: item.version || null,
+        bundleId: item.bundleId || null,
+        description: item.description || null,
+        fileSizeBytes: item.fileSizeBytes ? parseInt(item.fileSizeBytes) : null,
+        minimumOsVersion: item.minimumOsVersion || null,
+        rating: item.averageUserRating ?? null,
+        ratingCount: item.userRatingCount ?? null,
+      };
+    case 'ebook':
+      return {
+        description: item.description || null,
+        rating: item.averageUserRating ?? null,
+        ratingCount: item.userRatingCount ?? null,
+      };
+    default:
+      return {};
+  }
+};
+
+/**
+ * Convert a raw iTunes item to the version 2 result model
+ * @param {Object} item - Raw iTunes item
+ * @returns {ResultItem} - Normalized item
+ */
+const normalizeItem = (item) => {
+  const type = getResultType(item);
+  const itunesId = getItunesId(item);
+  const isCollectionPrice = type === 'collection' || !item.trackId;
+
+  return {
+    id: getItemId(item),
+    type,
+    itunesId,
+    name: (type === 'artist' ? item.artistName : item.trackName || item.collectionName) || null,
+    kind: item.kind || null,
+    artist: type !== 'artist' && (item.artistId || item.artistName)
+      ? { id: item.artistId || null, name: item.artistName || null }
+      : null,
+    genre: item.primaryGenreName || item.genres?.[0] || null,
+    releaseDate: toIsoDate(item.releaseDate),
+    artworkUrl: getArtworkUrl(item),
+    url: item.trackViewUrl || item.collectionViewUrl || item.artistLinkUrl || item.artistViewUrl || null,
+    price: {
+      amount: toPrice(isCollectionPrice ? item.collectionPrice ?? item.price : item.trackPrice ?? item.price),
+      currency: item.currency || null,
+    },
+    explicit: (item.trackExplicitness || item.collectionExplicitness) === 'explicit',
+    ...getTypeFields(type, item),
+  };
+};
+
+module.exports = {
+  RESPONSE_VERSIONS,
+  DEFAULT_RESPONSE_VERSION,
+  getResultType,
+  getMediaType,
+  getItemId,
+  mergeDuplicates,
+  normalizeItem,
+};
@@ -0,0 +1,48 @@
+/**
+ * Roles and Permissions
+ * Maps each account role to the permissions it grants
+ */
+
+// Individual permissions checked by requirePermission
+const PERMISSIONS = {
+  SEARCH: 'search',
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  USAGE_READ: 'usage:read',
+  SIGNING_KEYS_MANAGE: 'signing-keys:manage',
+  CACHE_BYPASS: 'cache:bypass',
+};
+
+// Permissions granted to each role
+const ROLE_PERMISSIONS = {
+  user: [
+    PERMISSIONS.SEARCH,
+  ],
+  admin: [
+    PERMISSIONS.SEARCH,
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_MANAGE,
+    PERMISSIONS.USAGE_READ,
+    PERMISSIONS.SIGNING_KEYS_MANAGE,
+    PERMISSIONS.CACHE_BYPASS,
+  ],
+};
+
+const VALID_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Account role
+ * @param {string} permission - Permission name
+ * @returns {boolean} - True when the role has the permission
+ */
+const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  VALID_ROLES,
+  hasPermission,
+};
@@ -0,0 +1,162 @@
+/**
+ * Signing Keys
+ * Asymmetric JWT signing keys identified by kid, rotated on a schedule
+ *
+ * The newest key signs new tokens. Older keys stay published in the JWKS
+ * for an overlap window so tokens they signed can still be verified.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const logger = require('./logger');
+
+const store = createJsonStore('signingKeys', () => ({ keys: [] }));
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Supported algorithms and how to generate a key pair for each
+const KEY_GENERATORS = {
+  RS256: () => crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }),
+  ES256: () => crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }),
+};
+const SUPPORTED_ALGORITHMS = Object.keys(KEY_GENERATORS);
+
+const SIGNING_ALGORITHM = SUPPORTED_ALGORITHMS.includes(process.env.JWT_ALGORITHM)
+  ? process.env.JWT_ALGORITHM
+  : 'RS256';
+
+// How often a new signing key is created
+const ROTATION_INTERVAL_MS = (parseFloat(process.env.JWT_KEY_ROTATION_HOURS) || 24 * 7) * HOUR_MS;
+
+// How long a replaced key keeps verifying tokens - must outlive the access token lifetime
+const OVERLAP_MS = (parseFloat(process.env.JWT_KEY_OVERLAP_HOURS) || 24) * HOUR_MS;
+
+// Public KeyObjects are cached so verification doesn't re-parse PEMs per request
+const publicKeyCache = new Map();
+
+/**
+ * Generate and store a new signing key, retiring the current one
+ * @param {string} reason - Why the key is rotated (logged)
+ * @returns {Object} - Public description of the new key
+ */
+const rotateKeys = (reason = 'manual') => {
+  const { privateKey, publicKey } = KEY_GENERATORS[SIGNING_ALGORITHM]();
+  const now = Date.now();
+
+  const key = {
+    kid: crypto.randomUUID(),
+    alg: SIGNING_ALGORITHM,
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    createdAt: new Date(now).toISOString(),
+    retiredAt: null,
+    expiresAt: null,
+  };
+
+  store.update(data => {
+    // Retire the active key and drop keys whose overlap window has passed
+    data.keys
+      .filter(existing => !existing.retiredAt)
+      .forEach(existing => {
+        existing.retiredAt = new Date(now).toISOString();
+        existing.expiresAt = new Date(now + OVERLAP_MS).toISOString();
+      });
+    data.keys = data.keys.filter(existing => !existing.expiresAt || new Date(existing.expiresAt).getTime() > now);
+    data.keys.push(key);
+  });
+
+  logger.info('JWT signing key rotated', {
+    kid: key.kid,
+    alg: key.alg,
+    reason,
+  });
+
+  return { kid: key.kid, alg: key.alg, createdAt: key.createdAt };
+};
+
+/**
+ * Get the key used to sign new tokens, rotating first if it is due
+ * @returns {Object} - Stored key with kid, alg and privateKey
+ */
+const getActiveKey = () => {
+  const active = store.read().keys.find(key => !key.retiredAt);
+
+  if (!active) {
+    rotateKeys('initial');
+  } else if (active.alg !== SIGNING_ALGORITHM) {
+    rotateKeys('algorithm changed');
+  } else if (Date.now() - new Date(active.createdAt).getTime() >= ROTATION_INTERVAL_MS) {
+    rotateKeys('scheduled');
+  } else {
+    return active;
+  }
+
+  return store.read().keys.find(key => !key.retiredAt);
+};
+
+/**
+ * Keys that can still verify tokens (active plus those in their overlap window)
+ * @returns {Array} - Stored keys
+ */
+const getVerificationKeys = () => {
+  const now = Date.now();
+  return store.read().keys.filter(key => !key.expiresAt || new Date(key.expiresAt).getTime() > now);
+};
+
+/**
+ * Find the public key for a kid
+ * @param {string} kid - Key id from a token header
+ * @returns {Object|null} - Public KeyObject and algorithm, or null if unknown or expired
+ */
+const getPublicKey = (kid) => {
+  const key = getVerificationKeys().find(existing => existing.kid === kid);
+  if (!key) return null;
+
+  if (!publicKeyCache.has(kid)) {
+    publicKeyCache.set(kid, crypto.createPublicKey(key.publicKey));
+  }
+
+  return { publicKey: publicKeyCache.get(kid), alg: key.alg };
+};
+
+/**
+ * Build the JSON Web Key Set published at /.well-known/jwks.json
+ * @returns {Object} - JWKS document
+ */
+const getJwks = () => {
+  // Make sure there is a key to publish before the first token is issued
+  getActiveKey();
+
+  return {
+    keys: getVerificationKeys().map(key => ({
+      ...crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig',
+    })),
+  };
+};
+
+/**
+ * Describe the stored keys without their private material
+ * @returns {Array} - kid, alg and lifecycle timestamps
+ */
+const listKeys = () => {
+  return getVerificationKeys().map(({ kid, alg, createdAt, retiredAt, expiresAt }) => ({
+    kid,
+    alg,
+    status: retiredAt ? 'retired' : 'active',
+    createdAt,
+    retiredAt,
+    expiresAt,
+  }));
+};
+
+module.exports = {
+  SUPPORTED_ALGORITHMS,
+  rotateKeys,
+  getActiveKey,
+  getPublicKey,
+  getJwks,
+  listKeys,
+};
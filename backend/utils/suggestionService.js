@@ -0,0 +1,298 @@
+/**
+ * Suggestion Service
+ * Ranks autocomplete suggestions from popular queries, each user's search
+ * history and artist/collection names seen in search results, and suggests
+ * spelling corrections from the same names, titles and queries
+ *
+ * Popular queries and names are kept in memory and bounded, so looking up
+ * suggestions is a scan of a few thousand short strings and cheap enough for
+ * every keystroke. They are collected since the server started.
+ */
+
+const { getResultType, getMediaType } = require('./resultModel');
+const historyStore = require('./historyStore');
+
+// How many entries each source keeps; the least used entries are dropped first
+const MAX_POPULAR_QUERIES = parseInt(process.env.SUGGESTION_MAX_QUERIES) || 2000;
+const MAX_NAMES = parseInt(process.env.SUGGESTION_MAX_NAMES) || 5000;
+
+// Most recent history entries considered per user
+const MAX_RECENT_PER_USER = 20;
+
+// Largest edit distance a spelling correction may have, as a share of the term's length
+const MAX_CORRECTION_DISTANCE_RATIO = 0.25;
+
+// A query only becomes a popular suggestion once this many different users searched for it,
+// so one user's searches are never suggested to everyone else
+const MIN_POPULAR_USERS = parseInt(process.env.SUGGESTION_MIN_USERS) || 2;
+
+// Seeded so a fresh server has something to suggest
+const SEED_QUERIES = [
+  { term: 'Taylor Swift', media: 'music' },
+  { term: 'Marvel', media: 'movie' },
+  { term: 'Joe Rogan', media: 'podcast' },
+  { term: 'The Office', media: 'tvShow' },
+  { term: 'Harry Potter', media: 'audiobook' },
+  { term: 'Photoshop', media: 'software' },
+];
+
+// Labels shown with each source
+const CATEGORIES = {
+  recent: 'Recent Searches',
+  popular: 'Popular Searches',
+  artist: 'Artists',
+  collection: 'Collections',
+};
+
+// How much each source counts when ranking
+const SOURCE_WEIGHTS = {
+  recent: 4,
+  popular: 2,
+  artist: 1.5,
+  collection: 1,
+};
+
+const popularQueries = new Map();
+const namesSeen = new Map();
+
+/**
+ * Normalize a term for matching
+ * @param {string} term - Search term or name
+ * @returns {string} - Lowercased term with single spaces
+ */
+const normalize = (term) => String(term).toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Drop the least used entries once a source is over its size
+ * @param {Map} entries - Entries keyed on the normalized term
+ * @param {number} maxEntries - Size limit
+ */
+const trim = (entries, maxEntries) => {
+  if (entries.size <= maxEntries) return;
+
+  const leastUsed = Array.from(entries.entries())
+    .sort(([, a], [, b]) => a.count - b.count || a.lastSeenAt - b.lastSeenAt)
+    .slice(0, entries.size - maxEntries);
+  leastUsed.forEach(([key]) => entries.delete(key));
+};
+
+/**
+ * Add one use of a term to a source
+ * @param {Map} entries - Entries keyed on the normalized term
+ * @param {string} term - Term as shown to users
+ * @param {string|null} media - Media type the term was used with
+ * @param {Object} extra - Fields stored on a new entry
+ * @returns {Object} - The entry
+ */
+const countTerm = (entries, term, media, extra = {}) => {
+  const key = normalize(term);
+  const entry = entries.get(key) || { term, count: 0, media: {}, ...extra };
+
+  entry.count += 1;
+  entry.lastSeenAt = Date.now();
+  if (media && media !== 'all') {
+    entry.media[media] = (entry.media[media] || 0) + 1;
+  }
+  entries.set(key, entry);
+  return entry;
+};
+
+/**
+ * Record a search that returned results
+ * The user's own history is kept by utils/historyStore
+ * @param {Object} search - term, media, and userId of the account that searched (optional)
+ */
+const recordSearch = ({ term, media, userId }) => {
+  if (!term || !normalize(term)) return;
+
+  const entry = countTerm(popularQueries, term.trim(), media, { users: new Set() });
+  if (userId) entry.users.add(userId);
+  trim(popularQueries, MAX_POPULAR_QUERIES);
+};
+
+/**
+ * Remember the artist, collection and track names in a list of search results
+ * Track titles are only used for spelling corrections, not for autocomplete
+ * @param {Array} results - Raw iTunes items
+ */
+const recordResults = (results) => {
+  results.forEach(item => {
+    const media = getMediaType(item);
+    if (item.artistName) countTerm(namesSeen, item.artistName, media, { source: 'artist' });
+    if (item.collectionName && getResultType(item) !== 'artist') {
+      countTerm(namesSeen, item.collectionName, media, { source: 'collection' });
+    }
+    if (item.trackName) countTerm(namesSeen, item.trackName, media, { source: 'title' });
+  });
+  trim(namesSeen, MAX_NAMES);
+};
+
+/**
+ * Score how well a term matches what was typed
+ * A match at the start of the term beats a match at the start of a later word
+ * @param {string} candidate - Normalized term
+ * @param {string} prefix - Normalized input
+ * @returns {number} - 0 when the term doesn't match
+ */
+const matchScore = (candidate, prefix) => {
+  if (candidate === prefix) return 1.2;
+  if (candidate.startsWith(prefix)) return 1;
+  return candidate.includes(` ${prefix}`) ? 0.6 : 0;
+};
+
+/**
+ * Media types a term was used with, most used first
+ * @param {Object} media - Use count per media type
+ * @returns {Array} - Media types
+ */
+const rankMedia = (media) => Object.entries(media).sort(([, a], [, b]) => b - a).map(([type]) => type);
+
+/**
+ * Get suggestions for what a user has typed so far
+ * Without a prefix the most popular queries are returned
+ * @param {Object} options - prefix, userId (optional) and limit
+ * @returns {Array} - Suggestions with term, media, mediaTypes, category and source, best first
+ */
+const suggest = ({ prefix = '', userId, limit = 8 }) => {
+  const input = normalize(prefix);
+  const candidates = new Map();
+
+  /**
+   * Keep the best-scoring suggestion for each term
+   * @param {string} source - Where the term comes from
+   * @param {Object} entry - term and use count per media type
+   * @param {number} popularity - How often the term was used
+   */
+  const consider = (source, entry, popularity) => {
+    const key = normalize(entry.term);
+    const relevance = input ? matchScore(key, input) : 1;
+    if (!relevance) return;
+
+    const score = relevance * SOURCE_WEIGHTS[source] * (1 + Math.log1p(popularity));
+    const existing = candidates.get(key);
+    const mediaTypes = [...(existing?.mediaTypes || []), ...rankMedia(entry.media || {})]
+      .filter((type, index, all) => all.indexOf(type) === index);
+
+    // The best source decides how the term is shown; media types are merged from all of them
+    const best = !existing || existing.score < score
+      ? { term: entry.term, category: CATEGORIES[source], source, score }
+      : existing;
+
+    candidates.set(key, {
+      term: best.term,
+      media: mediaTypes[0] || 'all',
+      mediaTypes,
+      category: best.category,
+      source: best.source,
+      score: best.score,
+    });
+  };
+
+  const { entries: recent } = userId
+    ? historyStore.listHistory(userId, { limit: MAX_RECENT_PER_USER })
+    : { entries: [] };
+  recent.forEach((search, index) => {
+    const media = search.media !== 'all' ? { [search.media]: 1 } : {};
+    consider('recent', { term: search.term, media }, MAX_RECENT_PER_USER - index);
+  });
+
+  SEED_QUERIES.forEach(seed => consider('popular', { term: seed.term, media: { [seed.media]: 1 } }, 0));
+  popularQueries.forEach(entry => {
+    if (entry.users.size >= MIN_POPULAR_USERS) consider('popular', entry, entry.users.size);
+  });
+
+  if (input) {
+    namesSeen.forEach(entry => {
+      if (entry.source !== 'title') consider(entry.source, entry, entry.count);
+    });
+  }
+
+  return Array.from(candidates.values())
+    .sort((a, b) => b.score - a.score || a.term.localeCompare(b.term))
+    .slice(0, limit)
+    .map(({ score, ...suggestion }) => suggestion);
+};
+
+/**
+ * Edit distance between two strings, counting swapped neighbours as one edit
+ * Gives up early once the distance is known to exceed the maximum
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Largest distance of interest
+ * @returns {number} - Distance, or max + 1 when it is larger than max
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      nextRow.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+};
+
+/**
+ * Suggest spellings for a term that found little or nothing
+ * Candidates are artist, collection and track names from earlier results and
+ * popular queries; closer spellings rank first, then more common ones
+ * @param {string} term - Search term as typed
+ * @param {Object} options - limit
+ * @returns {Array} - Corrections with term, distance and source, best first
+ */
+const correct = (term, { limit = 3 } = {}) => {
+  const input = normalize(term);
+  const maxDistance = Math.max(1, Math.floor(input.length * MAX_CORRECTION_DISTANCE_RATIO));
+  const candidates = new Map();
+
+  /**
+   * Keep a candidate that is close enough to the input
+   * @param {string} source - Where the candidate comes from
+   * @param {Object} entry - Entry with the candidate term
+   * @param {number} popularity - How often the candidate was seen
+   */
+  const consider = (source, entry, popularity) => {
+    const key = normalize(entry.term);
+    if (key === input || candidates.has(key)) return;
+
+    const distance = editDistance(input, key, maxDistance);
+    if (distance <= maxDistance) {
+      candidates.set(key, { term: entry.term, distance, source, popularity });
+    }
+  };
+
+  SEED_QUERIES.forEach(seed => consider('popular', seed, 0));
+  popularQueries.forEach(entry => {
+    if (entry.users.size >= MIN_POPULAR_USERS) consider('popular', entry, entry.users.size);
+  });
+  namesSeen.forEach(entry => consider(entry.source, entry, entry.count));
+
+  return Array.from(candidates.values())
+    .sort((a, b) => a.distance - b.distance || b.popularity - a.popularity || a.term.localeCompare(b.term))
+    .slice(0, limit)
+    .map(({ popularity, ...correction }) => correction);
+};
+
+module.exports = {
+  recordSearch,
+  recordResults,
+  suggest,
+  correct,
+};
@@ -0,0 +1,291 @@
+/**
+ * Token Service
+ * Issues and verifies access tokens, rotates refresh tokens and tracks revocations
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createJsonStore } = require('./jsonStore');
+const signingKeys = require('./signingKeys');
+
+const refreshStore = createJsonStore('refreshTokens', () => ({ tokens: [] }));
+const revocationStore = createJsonStore('revokedTokens', () => ({ jtis: {}, users: {} }));
+
+// Token lifetimes
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '1h';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Access token lifetime in milliseconds, read the way jsonwebtoken reads expiresIn
+const ACCESS_TOKEN_LIFETIME_MS = (() => {
+  const { iat, exp } = jwt.decode(jwt.sign({}, 'lifetime', { expiresIn: ACCESS_TOKEN_EXPIRES_IN }));
+  return (exp - iat) * 1000;
+})();
+
+const ACCESS_TOKEN_OPTIONS = {
+  expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  issuer: 'itunes-search-api',
+  audience: 'itunes-search-client',
+};
+
+/**
+ * Create an error with a name the route handlers can branch on
+ * @param {string} name - Error name
+ * @param {string} message - Error message
+ * @returns {Error} - Named error
+ */
+const tokenError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Drop refresh tokens and revocations that have expired anyway
+ * @param {Object} refreshData - Refresh token store data
+ * @param {Object} revocationData - Revocation store data
+ */
+const pruneExpired = (refreshData, revocationData) => {
+  const now = Date.now();
+
+  if (refreshData) {
+    refreshData.tokens = refreshData.tokens.filter(token => new Date(token.expiresAt).getTime() > now);
+  }
+
+  if (revocationData) {
+    Object.entries(revocationData.jtis).forEach(([jti, exp]) => {
+      if (exp * 1000 <= now) delete revocationData.jtis[jti];
+    });
+    // Every token issued before a logout-all has expired once a token lifetime has passed
+    Object.entries(revocationData.users).forEach(([userId, revokedBefore]) => {
+      if (revokedBefore + ACCESS_TOKEN_LIFETIME_MS <= now) delete revocationData.users[userId];
+    });
+  }
+};
+
+/**
+ * Sign a short-lived access token for a user
+ * @param {Object} user - Public user record
+ * @returns {Object} - Signed token with its jti
+ */
+const signAccessToken = (user) => {
+  const jti = crypto.randomUUID();
+  const payload = {
+    userId: user.id,
+    username: user.username,
+    role: user.role,
+    // Fractional seconds, so a token issued right after a revocation in the same second stays valid
+    iat: Date.now() / 1000,
+  };
+
+  const signingKey = signingKeys.getActiveKey();
+
+  return {
+    token: jwt.sign(payload, signingKey.privateKey, {
+      ...ACCESS_TOKEN_OPTIONS,
+      algorithm: signingKey.alg,
+      keyid: signingKey.kid,
+      jwtid: jti,
+    }),
+    jti,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  };
+};
+
+/**
+ * Check whether a decoded access token has been revoked
+ * @param {Object} decoded - Decoded token payload
+ * @returns {boolean} - True when the token or all of the user's sessions were revoked
+ */
+const isRevoked = (decoded) => {
+  const { jtis, users } = revocationStore.read();
+
+  if (decoded.jti && jtis[decoded.jti]) return true;
+
+  // Milliseconds; only tokens issued strictly before it are revoked
+  const revokedBefore = users[decoded.userId];
+  return Boolean(revokedBefore && Math.round(decoded.iat * 1000) < revokedBefore);
+};
+
+/**
+ * Verify an access token's signature, expiry and revocation status
+ * @param {string} token - Encoded JWT
+ * @returns {Object} - Decoded payload
+ * @throws {Error} - JsonWebTokenError, TokenExpiredError or TokenRevokedError
+ */
+const verifyAccessToken = (token) => {
+  // Pick the verification key named by the token's kid header
+  const header = jwt.decode(token, { complete: true })?.header;
+  const key = header?.kid && signingKeys.getPublicKey(header.kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('Token was not signed by a known key');
+  }
+
+  const decoded = jwt.verify(token, key.publicKey, {
+    algorithms: [key.alg],
+    issuer: ACCESS_TOKEN_OPTIONS.issuer,
+    audience: ACCESS_TOKEN_OPTIONS.audience,
+  });
+
+  if (isRevoked(decoded)) {
+    throw tokenError('TokenRevokedError', 'Token has been revoked');
+  }
+
+  return decoded;
+};
+
+/**
+ * Revoke a single access token until it would have expired
+ * @param {Object} decoded - Decoded token payload (needs jti and exp)
+ */
+const revokeAccessToken = (decoded) => {
+  if (!decoded?.jti) return;
+
+  revocationStore.update(data => {
+    pruneExpired(null, data);
+    data.jtis[decoded.jti] = decoded.exp || nowSeconds();
+  });
+};
+
+/**
+ * Issue a new refresh token, optionally continuing an existing rotation family
+ * @param {Object} user - Public user record
+ * @param {string} familyId - Rotation family to continue (new family when omitted)
+ * @returns {Object} - Raw refresh token (only returned once) and its expiry
+ */
+const issueRefreshToken = (user, familyId = crypto.randomUUID()) => {
+  const id = crypto.randomUUID();
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  refreshStore.update(data => {
+    pruneExpired(data, null);
+    data.tokens.push({
+      id,
+      hash: hashSecret(secret),
+      userId: user.id,
+      familyId,
+      createdAt: new Date().toISOString(),
+      expiresAt,
+      usedAt: null,
+      revokedAt: null,
+    });
+  });
+
+  return {
+    refreshToken: `${id}.${secret}`,
+    refreshExpiresAt: expiresAt,
+  };
+};
+
+/**
+ * Look up the stored record for a raw refresh token
+ * @param {string} rawToken - Refresh token as given to the client
+ * @returns {Object|null} - Stored record when the secret matches
+ */
+const findRefreshToken = (rawToken) => {
+  const [id, secret] = String(rawToken || '').split('.');
+  if (!id || !secret) return null;
+
+  const record = refreshStore.read().tokens.find(token => token.id === id);
+  if (!record) return null;
+
+  const expected = Buffer.from(record.hash, 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? record : null;
+};
+
+/**
+ * Revoke every refresh token in a rotation family
+ * @param {string} familyId - Rotation family id
+ */
+const revokeFamily = (familyId) => {
+  const revokedAt = new Date().toISOString();
+  refreshStore.update(data => {
+    data.tokens
+      .filter(token => token.familyId === familyId && !token.revokedAt)
+      .forEach(token => { token.revokedAt = revokedAt; });
+  });
+};
+
+/**
+ * Consume a refresh token and return the family to continue
+ * A token that was already used means it leaked, so its whole family is revoked
+ * @param {string} rawToken - Refresh token as given to the client
+ * @returns {Object} - The consumed record (userId and familyId)
+ * @throws {Error} - InvalidRefreshTokenError or RefreshTokenReuseError
+ */
+const consumeRefreshToken = (rawToken) => {
+  const record = findRefreshToken(rawToken);
+
+  if (!record || record.revokedAt || new Date(record.expiresAt).getTime() <= Date.now()) {
+    throw tokenError('InvalidRefreshTokenError', 'Refresh token is invalid, expired or revoked');
+  }
+
+  if (record.usedAt) {
+    revokeFamily(record.familyId);
+    throw tokenError('RefreshTokenReuseError', 'Refresh token has already been used');
+  }
+
+  refreshStore.update(data => {
+    const stored = data.tokens.find(token => token.id === record.id);
+    stored.usedAt = new Date().toISOString();
+  });
+
+  return record;
+};
+
+/**
+ * Revoke the refresh token family a raw token belongs to
+ * @param {string} rawToken - Refresh token as given to the client
+ * @param {string} userId - Only revoke when the token belongs to this user
+ * @returns {boolean} - True when a token was revoked
+ */
+const revokeRefreshToken = (rawToken, userId) => {
+  const record = findRefreshToken(rawToken);
+  if (!record || record.userId !== userId) return false;
+
+  revokeFamily(record.familyId);
+  return true;
+};
+
+/**
+ * Revoke every refresh token and every access token issued so far for a user
+ * @param {string} userId - User id
+ * @returns {number} - Number of refresh token families revoked
+ */
+const revokeAllForUser = (userId) => {
+  const revokedAt = new Date().toISOString();
+  const families = new Set();
+
+  refreshStore.update(data => {
+    pruneExpired(data, null);
+    data.tokens
+      .filter(token => token.userId === userId && !token.revokedAt)
+      .forEach(token => {
+        token.revokedAt = revokedAt;
+        families.add(token.familyId);
+      });
+  });
+
+  revocationStore.update(data => {
+    pruneExpired(null, data);
+    data.users[userId] = Date.now();
+  });
+
+  return families.size;
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  signAccessToken,
+  verifyAccessToken,
+  revokeAccessToken,
+  issueRefreshToken,
+  consumeRefreshToken,
+  revokeRefreshToken,
+  revokeAllForUser,
+};
@@ -0,0 +1,75 @@
+/**
+ * Usage Tracker
+ * Counts API requests per account since the server started
+ */
+
+const startedAt = new Date().toISOString();
+const usageByUser = new Map();
+
+/**
+ * Record one finished request for the authenticated caller
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const recordRequest = (req, res) => {
+  // API key requests are counted against the owning account
+  const userId = req.user?.userId || req.user?.ownerId;
+  if (!userId) return;
+
+  const route = `${req.method} ${req.baseUrl}${req.route?.path || ''}`;
+
+  if (!usageByUser.has(userId)) {
+    usageByUser.set(userId, {
+      userId,
+      username: req.user.username,
+      totalRequests: 0,
+      errorResponses: 0,
+      routes: {},
+      apiKeys: {},
+      firstSeenAt: new Date().toISOString(),
+      lastSeenAt: null,
+    });
+  }
+
+  const usage = usageByUser.get(userId);
+  usage.totalRequests += 1;
+  if (req.user.apiKeyId) {
+    usage.apiKeys[req.user.apiKeyId] = (usage.apiKeys[req.user.apiKeyId] || 0) + 1;
+  }
+  usage.routes[route] = (usage.routes[route] || 0) + 1;
+  usage.lastSeenAt = new Date().toISOString();
+  if (res.statusCode >= 400) {
+    usage.errorResponses += 1;
+  }
+};
+
+/**
+ * Express middleware that records usage once the response is sent
+ * Registered before the routes so req.user is populated by the time it runs
+ */
+const middleware = (req, res, next) => {
+  res.on('finish', () => recordRequest(req, res));
+  next();
+};
+
+/**
+ * Get usage statistics for all accounts or a single one
+ * @param {string} userId - Optional user id filter
+ * @returns {Object} - Usage summary
+ */
+const getUsage = (userId) => {
+  const users = Array.from(usageByUser.values())
+    .filter(usage => !userId || usage.userId === userId)
+    .sort((a, b) => b.totalRequests - a.totalRequests);
+
+  return {
+    since: startedAt,
+    totalRequests: users.reduce((sum, usage) => sum + usage.totalRequests, 0),
+    users,
+  };
+};
+
+module.exports = {
+  middleware,
+  getUsage,
+};
@@ -0,0 +1,297 @@
+/**
+ * User Store
+ * Persistent user accounts with salted scrypt password hashing
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { createJsonStore } = require('./jsonStore');
+const { VALID_ROLES } = require('./roles');
+const { VALID_PLANS } = require('./rateLimit');
+
+const scrypt = promisify(crypto.scrypt);
+
+const store = createJsonStore('users', () => ({ users: [] }));
+
+// Password hashing parameters
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+// Account validation rules
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} - Encoded hash in the form "scrypt$salt$hash"
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  const derivedKey = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${derivedKey.toString('hex')}`;
+};
+
+/**
+ * Check a password against an encoded hash in constant time
+ * @param {string} password - Plain text password
+ * @param {string} encodedHash - Hash produced by hashPassword
+ * @returns {Promise<boolean>} - True when the password matches
+ */
+const verifyPassword = async (password, encodedHash) => {
+  const [scheme, salt, hash] = (encodedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const derivedKey = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, derivedKey);
+};
+
+// Hash compared against when a username is unknown or has no password (single sign-on
+// accounts), so every login attempt takes the same time
+const DUMMY_HASH_PROMISE = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/**
+ * Validate registration credentials
+ * @param {Object} credentials - Username and password
+ * @returns {Object} - Validation result with isValid and errors
+ */
+const validateCredentials = ({ username, password } = {}) => {
+  const errors = [];
+
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    errors.push('Username must be 3-32 characters and contain only letters, numbers, ".", "_" or "-"');
+  }
+
+  if (typeof password !== 'string' ||
+      password.length < MIN_PASSWORD_LENGTH ||
+      password.length > MAX_PASSWORD_LENGTH) {
+    errors.push(`Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Strip secrets from a stored user before returning it to callers
+ * @param {Object} user - Stored user record
+ * @returns {Object|null} - User without password hash
+ */
+const toPublicUser = (user) => {
+  if (!user) return null;
+  const { passwordHash, ...publicUser } = user;
+  return publicUser;
+};
+
+/**
+ * Find a user by id
+ * @param {string} id - User id
+ * @returns {Object|null} - Stored user record
+ */
+const findById = (id) => {
+  return store.read().users.find(user => user.id === id) || null;
+};
+
+/**
+ * Find a user by username (case-insensitive) in a list of stored users
+ * @param {Array} users - Stored user records
+ * @param {string} username - Username
+ * @returns {Object|null} - Stored user record
+ */
+const findUsername = (users, username) => {
+  const normalized = String(username || '').toLowerCase();
+  return users.find(user => user.username.toLowerCase() === normalized) || null;
+};
+
+/**
+ * Find a user by username (case-insensitive)
+ * @param {string} username - Username
+ * @returns {Object|null} - Stored user record
+ */
+const findByUsername = (username) => {
+  return findUsername(store.read().users, username);
+};
+
+/**
+ * Create the error thrown when a username is already in use
+ * @param {string} username - Username
+ * @returns {Error} - ConflictError
+ */
+const usernameTakenError = (username) => {
+  const error = new Error(`Username "${username}" is already taken`);
+  error.name = 'ConflictError';
+  error.statusCode = 409;
+  return error;
+};
+
+/**
+ * List all users
+ * @returns {Array} - Public user records
+ */
+const listUsers = () => {
+  return store.read().users.map(toPublicUser);
+};
+
+/**
+ * Create a new user account
+ * Accounts are regular users unless a role is given; see scripts/createAdmin.js
+ * @param {Object} params - Username, password and optional role
+ * @returns {Promise<Object>} - Public user record
+ */
+const createUser = async ({ username, password, role }) => {
+  if (findByUsername(username)) {
+    throw usernameTakenError(username);
+  }
+
+  const now = new Date().toISOString();
+  const user = {
+    id: crypto.randomUUID(),
+    username,
+    passwordHash: await hashPassword(password),
+    role: role || 'user',
+    disabled: false,
+    plan: 'free',
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  // Another registration may have taken the name while the password was hashed
+  store.update(data => {
+    if (findUsername(data.users, username)) {
+      throw usernameTakenError(username);
+    }
+    data.users.push(user);
+  });
+  return toPublicUser(user);
+};
+
+/**
+ * Find a user linked to an external identity provider account
+ * @param {string} issuer - OIDC issuer URL
+ * @param {string} subject - Subject (sub claim) at that issuer
+ * @returns {Object|null} - Stored user record
+ */
+const findByExternalIdentity = (issuer, subject) => {
+  return store.read().users.find(user =>
+    (user.externalIdentities || []).some(identity =>
+      identity.issuer === issuer && identity.subject === subject
+    )
+  ) || null;
+};
+
+/**
+ * Turn a preferred username or email into a free, valid username
+ * @param {Array} users - Stored user records
+ * @param {string} preferred - Suggested name from the identity provider
+ * @returns {string} - Username that isn't taken yet
+ */
+const deriveUsername = (users, preferred) => {
+  const base = String(preferred || 'user')
+    .split('@')[0]
+    .replace(/[^a-zA-Z0-9_.-]/g, '')
+    .slice(0, 24)
+    .padEnd(3, '_');
+
+  let username = base;
+  while (findUsername(users, username)) {
+    username = `${base}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+  return username;
+};
+
+/**
+ * Create a local account for an external identity
+ * The account has no password and can only sign in through its identity provider
+ * @param {Object} params - issuer, subject, preferredUsername and email
+ * @returns {Object} - Public user record
+ */
+const createExternalUser = ({ issuer, subject, preferredUsername, email }) => {
+  const now = new Date().toISOString();
+
+  // The username is picked and the account stored in one update, so no other account can take it in between
+  return store.update(data => {
+    const username = deriveUsername(data.users, preferredUsername || email);
+    const user = {
+      id: crypto.randomUUID(),
+      username,
+      passwordHash: null,
+      role: 'user',
+      disabled: false,
+      plan: 'free',
+      email: email || null,
+      externalIdentities: [{ issuer, subject, linkedAt: now }],
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    data.users.push(user);
+    return toPublicUser(user);
+  });
+};
+
+/**
+ * Update the role, plan or disabled flag of a user
+ * @param {string} id - User id
+ * @param {Object} changes - Fields to change (role, plan, disabled)
+ * @returns {Object|null} - Updated public user record, or null if the user doesn't exist
+ */
+const updateUser = (id, changes) => {
+  if (changes.role !== undefined && !VALID_ROLES.includes(changes.role)) {
+    const error = new Error(`Invalid role. Valid roles: ${VALID_ROLES.join(', ')}`);
+    error.name = 'ValidationError';
+    throw error;
+  }
+
+  if (changes.plan !== undefined && !VALID_PLANS.includes(changes.plan)) {
+    const error = new Error(`Invalid plan. Valid plans: ${VALID_PLANS.join(', ')}`);
+    error.name = 'ValidationError';
+    throw error;
+  }
+
+  return store.update(data => {
+    const user = data.users.find(existing => existing.id === id);
+    if (!user) return null;
+
+    if (changes.role !== undefined) user.role = changes.role;
+    if (changes.plan !== undefined) user.plan = changes.plan;
+    if (changes.disabled !== undefined) user.disabled = Boolean(changes.disabled);
+    user.updatedAt = new Date().toISOString();
+
+    return toPublicUser(user);
+  });
+};
+
+/**
+ * Check a username/password pair
+ * @param {string} username - Username
+ * @param {string} password - Plain text password
+ * @returns {Promise<Object|null>} - Public user record, or null if the credentials are wrong
+ */
+const authenticate = async (username, password) => {
+  if (typeof username !== 'string' || typeof password !== 'string') return null;
+
+  const user = findByUsername(username);
+  const passwordMatches = await verifyPassword(
+    password,
+    user?.passwordHash || await DUMMY_HASH_PROMISE
+  );
+
+  return user?.passwordHash && passwordMatches ? toPublicUser(user) : null;
+};
+
+module.exports = {
+  validateCredentials,
+  toPublicUser,
+  findById,
+  findByUsername,
+  findByExternalIdentity,
+  listUsers,
+  createUser,
+  createExternalUser,
+  updateUser,
+  authenticate,
+};
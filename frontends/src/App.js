@@ -1,36 +1,57 @@
 import React, { useState, useEffect } from 'react';
-import { Music, Search, Heart, Star, Calendar, User, AlertCircle } from 'lucide-react';
+import { Music, Search, Heart, Star, Calendar, User, AlertCircle, LogOut } from 'lucide-react';
 import SearchBar from './components/SearchBar';
 import MediaCard from './components/MediaCard';
 import FavoritesList from './components/FavoritesList';
 import LoadingSpinner from './components/LoadingSpinner';
-import { searchItunes, generateToken } from './services/api';
+import LoginForm from './components/LoginForm';
+import { searchItunes, generateToken, registerUser, verifyStoredToken, consumeSsoRedirect, logout } from './services/api';
+import { loadFavorites, saveFavorites } from './services/favorites';
 
 function App() {
   const [searchResults, setSearchResults] = useState([]);
-  const [favorites, setFavorites] = useState([]);
+  const [searchInfo, setSearchInfo] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [favorites, setFavorites] = useState(loadFavorites);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [mediaType, setMediaType] = useState('all');
   const [currentView, setCurrentView] = useState('search');
   const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [authChecked, setAuthChecked] = useState(false);
 
-  // Initialize authentication on app load
+  // Restore an existing session on app load
   useEffect(() => {
     const initializeAuth = async () => {
-      try {
-        await generateToken();
-        setIsAuthenticated(true);
-      } catch (error) {
-        console.error('Failed to initialize authentication:', error);
-        setError('Failed to initialize app. Please refresh the page.');
-      }
+      consumeSsoRedirect();
+      setIsAuthenticated(await verifyStoredToken());
+      setAuthChecked(true);
     };
 
     initializeAuth();
   }, []);
 
+  // Keep favorites across page loads
+  useEffect(() => {
+    saveFavorites(favorites);
+  }, [favorites]);
+
+  // Log in with account credentials
+  const handleLogin = async (username, password) => {
+    await generateToken(username, password);
+    setIsAuthenticated(true);
+  };
+
+  // End the current session
+  const handleLogout = async () => {
+    await logout();
+    setIsAuthenticated(false);
+    setSearchResults([]);
+    setSearchInfo(null);
+    setFavorites([]);
+  };
+
   // Handle search
   const handleSearch = async (term, media) => {
     if (!term.trim()) {
@@ -45,20 +66,43 @@ function App() {
 
     try {
       const response = await searchItunes(term, media);
-      setSearchResults(response.data.results || []);
+      const { results = [], searchInfo: info = null } = response.data.data || {};
+      setSearchResults(results);
+      setSearchInfo(info);
       
-      if (response.data.results.length === 0) {
+      if (results.length === 0) {
         setError('No results found. Try a different search term.');
       }
     } catch (error) {
       console.error('Search failed:', error);
       setError(error.response?.data?.message || 'Search failed. Please try again.');
       setSearchResults([]);
+      setSearchInfo(null);
     } finally {
       setLoading(false);
     }
   };
 
+  // Load the next page of the current search
+  const handleLoadMore = async () => {
+    if (!searchInfo?.hasMore || loadingMore) return;
+
+    setLoadingMore(true);
+    setError(null);
+
+    try {
+      const response = await searchItunes(searchTerm, mediaType, searchInfo.page + 1);
+      const { results = [], searchInfo: info = null } = response.data.data || {};
+      setSearchResults(prev => [...prev, ...results]);
+      setSearchInfo(info);
+    } catch (error) {
+      console.error('Loading more results failed:', error);
+      setError(error.response?.data?.message || 'Could not load more results. Please try again.');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
   // Add to favorites
   const addToFavorites = (item) => {
     const isAlreadyFavorite = favorites.some(fav => fav.uniqueId === item.uniqueId);
@@ -81,10 +125,15 @@ function App() {
   // Clear search results
   const clearSearch = () => {
     setSearchResults([]);
+    setSearchInfo(null);
     setSearchTerm('');
     setError(null);
   };
 
+  if (authChecked && !isAuthenticated) {
+    return <LoginForm onLogin={handleLogin} onRegister={registerUser} />;
+  }
+
   if (!isAuthenticated) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-purple-900 via-blue-900 to-indigo-900 flex items-center justify-center">
@@ -140,6 +189,13 @@ function App() {
                   </span>
                 )}
               </button>
+              <button
+                onClick={handleLogout}
+                className="px-4 py-2 rounded-lg transition-all duration-200 flex items-center space-x-2 text-purple-200 hover:text-white hover:bg-white/10"
+              >
+                <LogOut className="h-4 w-4" />
+                <span>Log Out</span>
+              </button>
             </nav>
           </div>
         </div>
@@ -184,7 +240,9 @@ function App() {
                   <h3 className="text-2xl font-bold text-white">
                     Search Results
                     <span className="text-purple-300 text-lg font-normal ml-2">
-                      ({searchResults.length} {searchResults.length === 1 ? 'result' : 'results'})
+                      ({searchResults.length}
+                      {searchInfo?.totalResults > searchResults.length && ` of ${searchInfo.totalResults}`}
+                      {' '}{searchInfo?.totalResults === 1 ? 'result' : 'results'})
                     </span>
                   </h3>
                   <button
@@ -209,6 +267,18 @@ function App() {
                     />
                   ))}
                 </div>
+
+                {searchInfo?.hasMore && (
+                  <div className="flex justify-center mt-8">
+                    <button
+                      onClick={handleLoadMore}
+                      disabled={loadingMore}
+                      className="px-6 py-3 bg-white/10 hover:bg-white/20 text-white rounded-xl transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {loadingMore ? 'Loading...' : 'Load More'}
+                    </button>
+                  </div>
+                )}
               </div>
             ) : searchTerm && !loading ? (
               <div className="text-center py-12">
@@ -218,6 +288,23 @@ function App() {
                   <p className="text-purple-200 mb-4">
                     No results found for "{searchTerm}" in {mediaType === 'all' ? 'all categories' : mediaType}.
                   </p>
+                  {searchInfo?.suggestions?.length > 0 && (
+                    <p className="text-purple-200 mb-4">
+                      Did you mean{' '}
+                      {searchInfo.suggestions.map((suggestion, index) => (
+                        <span key={suggestion.term}>
+                          {index > 0 && ', '}
+                          <button
+                            onClick={() => handleSearch(suggestion.term, mediaType)}
+                            className="text-white font-semibold underline hover:text-pink-300"
+                          >
+                            {suggestion.term}
+                          </button>
+                        </span>
+                      ))}
+                      ?
+                    </p>
+                  )}
                   <p className="text-purple-300 text-sm">
                     Try adjusting your search terms or selecting a different media type.
                   </p>
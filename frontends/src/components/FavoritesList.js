@@ -39,7 +39,8 @@ const FavoritesList = ({ favorites, onRemoveFavorite, onBackToSearch }) => {
         return new Date(b.releaseDate || 0) - new Date(a.releaseDate || 0);
       case 'recent':
       default:
-        return b.uniqueId - a.uniqueId; // Assuming higher uniqueId means more recent
+        // Favorites are stored in the order they were added
+        return favorites.indexOf(b) - favorites.indexOf(a);
     }
   });
 
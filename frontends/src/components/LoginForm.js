@@ -0,0 +1,125 @@
+/**
+ * LoginForm Component
+ * Collects account credentials to log in or create a new account
+ */
+
+import React, { useState } from 'react';
+import { Music, User, Lock, AlertCircle } from 'lucide-react';
+import { SSO_LOGIN_URL } from '../services/api';
+
+const LoginForm = ({ onLogin, onRegister }) => {
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isRegister = mode === 'register';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!username.trim() || !password || submitting) return;
+
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      if (isRegister) {
+        await onRegister(username.trim(), password);
+      }
+      await onLogin(username.trim(), password);
+    } catch (err) {
+      const data = err.response?.data;
+      setError(data?.errors?.join(' ') || data?.message || 'Something went wrong. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-900 via-blue-900 to-indigo-900 flex items-center justify-center px-4">
+      <div className="bg-white/10 backdrop-blur-md rounded-2xl p-8 border border-white/20 w-full max-w-md">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="bg-gradient-to-r from-pink-500 to-purple-600 p-2 rounded-xl">
+            <Music className="h-8 w-8 text-white" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold text-white">iTunes Search</h1>
+            <p className="text-purple-200 text-sm">
+              {isRegister ? 'Create an account to get started' : 'Log in to start searching'}
+            </p>
+          </div>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {/* Username */}
+          <div className="relative">
+            <User className="absolute left-4 top-1/2 transform -translate-y-1/2 text-white/60 h-5 w-5" />
+            <input
+              type="text"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              placeholder="Username"
+              autoComplete="username"
+              className="w-full pl-12 pr-4 py-3 bg-white/10 border border-white/20 rounded-xl text-white placeholder-white/60 focus:outline-none focus:ring-2 focus:ring-purple-400 focus:border-transparent transition-all duration-200"
+              disabled={submitting}
+            />
+          </div>
+
+          {/* Password */}
+          <div className="relative">
+            <Lock className="absolute left-4 top-1/2 transform -translate-y-1/2 text-white/60 h-5 w-5" />
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Password"
+              autoComplete={isRegister ? 'new-password' : 'current-password'}
+              className="w-full pl-12 pr-4 py-3 bg-white/10 border border-white/20 rounded-xl text-white placeholder-white/60 focus:outline-none focus:ring-2 focus:ring-purple-400 focus:border-transparent transition-all duration-200"
+              disabled={submitting}
+            />
+          </div>
+
+          {error && (
+            <div className="p-3 bg-red-500/20 border border-red-500/30 rounded-lg flex items-center space-x-3">
+              <AlertCircle className="h-5 w-5 text-red-400 flex-shrink-0" />
+              <p className="text-red-200 text-sm">{error}</p>
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={!username.trim() || !password || submitting}
+            className="w-full py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white font-semibold rounded-xl hover:from-purple-700 hover:to-pink-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+          >
+            {submitting ? 'Please wait...' : isRegister ? 'Create Account' : 'Log In'}
+          </button>
+        </form>
+
+        {/* Single sign-on through the company identity provider */}
+        <a
+          href={SSO_LOGIN_URL}
+          className="mt-4 block w-full py-3 text-center bg-white/10 border border-white/20 text-white rounded-xl hover:bg-white/20 transition-all duration-200"
+        >
+          Sign in with company account
+        </a>
+
+        <p className="mt-6 text-center text-sm text-purple-200">
+          {isRegister ? 'Already have an account?' : "Don't have an account?"}{' '}
+          <button
+            type="button"
+            onClick={() => {
+              setMode(isRegister ? 'login' : 'register');
+              setError(null);
+            }}
+            className="text-white underline hover:text-pink-300"
+          >
+            {isRegister ? 'Log in' : 'Create one'}
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default LoginForm;
@@ -3,8 +3,9 @@
  * Provides search input and media type selection functionality
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Search, Filter } from 'lucide-react';
+import { getSearchSuggestions } from '../services/api';
 
 const MEDIA_TYPES = [
   { value: 'all', label: 'All Media', icon: '🎯' },
@@ -22,14 +23,47 @@ const SearchBar = ({ onSearch, loading }) => {
   const [searchTerm, setSearchTerm] = useState('');
   const [mediaType, setMediaType] = useState('all');
   const [showFilters, setShowFilters] = useState(false);
+  const [suggestions, setSuggestions] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+
+  // Fetch suggestions shortly after the user stops typing
+  useEffect(() => {
+    if (!showSuggestions || !searchTerm.trim()) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const response = await getSearchSuggestions(searchTerm.trim());
+      if (!cancelled) {
+        setSuggestions(response.data.suggestions || []);
+      }
+    }, 150);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchTerm, showSuggestions]);
 
   const handleSubmit = (e) => {
     e.preventDefault();
+    setShowSuggestions(false);
     if (searchTerm.trim() && !loading) {
       onSearch(searchTerm.trim(), mediaType);
     }
   };
 
+  // Search for a suggestion, with the media type it was found under
+  const handleSelectSuggestion = (suggestion) => {
+    const media = MEDIA_TYPES.some(type => type.value === suggestion.media) ? suggestion.media : mediaType;
+    setSearchTerm(suggestion.term);
+    setMediaType(media);
+    setShowSuggestions(false);
+    onSearch(suggestion.term, media);
+  };
+
   const handleQuickSearch = (term) => {
     setSearchTerm(term);
     onSearch(term, mediaType);
@@ -50,11 +84,36 @@ const SearchBar = ({ onSearch, loading }) => {
             <input
               type="text"
               value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
+              onChange={(e) => {
+                setSearchTerm(e.target.value);
+                setShowSuggestions(true);
+              }}
+              onBlur={() => setTimeout(() => setShowSuggestions(false), 150)}
               placeholder="Search for music, movies, podcasts..."
               className="w-full pl-12 pr-4 py-4 bg-white/10 border border-white/20 rounded-xl text-white placeholder-white/60 focus:outline-none focus:ring-2 focus:ring-purple-400 focus:border-transparent transition-all duration-200"
               disabled={loading}
             />
+
+            {/* Suggestions Dropdown */}
+            {showSuggestions && suggestions.length > 0 && (
+              <div className="absolute top-full left-0 right-0 mt-2 bg-white/10 backdrop-blur-md border border-white/20 rounded-xl overflow-hidden z-20">
+                {suggestions.map((suggestion) => (
+                  <button
+                    key={`${suggestion.source}-${suggestion.term}`}
+                    type="button"
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={() => handleSelectSuggestion(suggestion)}
+                    className="w-full px-4 py-3 text-left hover:bg-white/20 transition-colors duration-200 flex items-center justify-between text-white/90"
+                  >
+                    <span className="flex items-center space-x-3">
+                      <span className="text-lg">{MEDIA_TYPES.find(type => type.value === suggestion.media)?.icon || '🔍'}</span>
+                      <span>{suggestion.term}</span>
+                    </span>
+                    <span className="text-xs text-purple-200">{suggestion.category}</span>
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
 
           {/* Media Type Selector */}
@@ -4,7 +4,7 @@
  */
 
 import axios from 'axios';
-import { API_BASE_URL } from '../utils/constants';
+import { API_BASE_URL, API_ENDPOINTS, APP_CONFIG } from '../utils/constants';
 
 // Create axios instance with default config
 const api = axios.create({
@@ -29,32 +29,85 @@ api.interceptors.request.use(
   }
 );
 
+/**
+ * Store the token pair returned by the auth endpoints
+ * @param {Object} data - Token response body
+ */
+const storeTokens = ({ token, refreshToken }) => {
+  if (token) {
+    localStorage.setItem('authToken', token);
+  }
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+};
+
+/**
+ * Remove all stored tokens
+ */
+const clearTokens = () => {
+  localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
+};
+
+// Refresh in progress, shared by every request that fails with 401 while it runs
+let refreshPromise = null;
+
+/**
+ * Rotate the refresh token once, however many requests are waiting on it
+ * A refresh token can only be used once, so concurrent refreshes would log the user out
+ * @param {string} refreshToken - Stored refresh token
+ * @returns {Promise} Promise resolving when the new tokens are stored
+ */
+const refreshTokens = (refreshToken) => {
+  if (!refreshPromise) {
+    refreshPromise = axios.post(`${API_BASE_URL}${API_ENDPOINTS.AUTH.REFRESH}`, { refreshToken })
+      .then((response) => storeTokens(response.data))
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Response interceptor for error handling
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
+  async (error) => {
+    const originalRequest = error.config;
+    const refreshToken = localStorage.getItem('refreshToken');
+    const isAuthRequest = originalRequest?.url?.startsWith('/auth/');
+
+    if (error.response?.status === 401 && refreshToken && !isAuthRequest && !originalRequest._retried) {
+      // Access token expired - rotate the refresh token and retry once
+      originalRequest._retried = true;
+      try {
+        await refreshTokens(refreshToken);
+        return api(originalRequest);
+      } catch (refreshError) {
+        clearTokens();
+        return Promise.reject(error);
+      }
+    }
+
+    if (error.response?.status === 401 && !isAuthRequest) {
       // Token expired or invalid
-      localStorage.removeItem('authToken');
-      // Could redirect to login here if needed
+      clearTokens();
     }
     return Promise.reject(error);
   }
 );
 
 /**
- * Generate authentication token
+ * Generate authentication token by logging in with account credentials
+ * @param {string} username - Account username
+ * @param {string} password - Account password
  * @returns {Promise} Promise resolving to token data
  */
-export const generateToken = async () => {
+export const generateToken = async (username, password) => {
   try {
-    const response = await api.post('/auth/token');
-    const { token } = response.data;
-
-    if (token) {
-      localStorage.setItem('authToken', token);
-    }
-
+    const response = await api.post('/auth/token', { username, password });
+    storeTokens(response.data);
     return response;
   } catch (error) {
     console.error('Token generation failed:', error);
@@ -62,18 +115,100 @@ export const generateToken = async () => {
   }
 };
 
+/**
+ * Create a new account
+ * @param {string} username - Desired username
+ * @param {string} password - Desired password
+ * @returns {Promise} Promise resolving to the created user
+ */
+export const registerUser = async (username, password) => {
+  try {
+    const response = await api.post('/auth/register', { username, password });
+    return response;
+  } catch (error) {
+    console.error('Registration failed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Log out of the current session
+ * @param {boolean} allSessions - Also log out every other device
+ * @returns {Promise} Promise resolving once the session is revoked
+ */
+export const logout = async (allSessions = false) => {
+  try {
+    const endpoint = allSessions ? API_ENDPOINTS.AUTH.LOGOUT_ALL : API_ENDPOINTS.AUTH.LOGOUT;
+    await api.post(endpoint, { refreshToken: localStorage.getItem('refreshToken') });
+  } catch (error) {
+    console.error('Logout failed:', error);
+  } finally {
+    clearTokens();
+  }
+};
+
+/**
+ * URL that starts a single sign-on login with the backend's identity provider
+ */
+export const SSO_LOGIN_URL = `${API_BASE_URL}${API_ENDPOINTS.AUTH.SSO_LOGIN}`;
+
+/**
+ * Store tokens handed back in the URL fragment after a single sign-on login
+ * @returns {boolean} True when the fragment contained tokens
+ */
+export const consumeSsoRedirect = () => {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  if (!params.get('token')) {
+    return false;
+  }
+
+  storeTokens({ token: params.get('token'), refreshToken: params.get('refreshToken') });
+  window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  return true;
+};
+
+/**
+ * Check whether the stored session is still valid, refreshing it if needed
+ * @returns {Promise<boolean>} Promise resolving to true when a valid token is stored
+ */
+export const verifyStoredToken = async () => {
+  try {
+    if (localStorage.getItem('authToken')) {
+      const response = await api.get(API_ENDPOINTS.AUTH.VERIFY);
+      if (response.data.valid === true) {
+        return true;
+      }
+    }
+
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) {
+      return false;
+    }
+
+    const response = await api.post(API_ENDPOINTS.AUTH.REFRESH, { refreshToken });
+    storeTokens(response.data);
+    return true;
+  } catch (error) {
+    clearTokens();
+    return false;
+  }
+};
+
 /**
  * Search iTunes store
  * @param {string} term - Search term
  * @param {string} media - Media type (all, music, movie, podcast, etc.)
- * @param {number} limit - Number of results to return (default: 50)
+ * @param {number} page - Page of results to return (default: 1)
+ * @param {number} pageSize - Number of results per page
  * @returns {Promise} Promise resolving to search results
  */
-export const searchItunes = async (term, media = 'all', limit = 50) => {
+export const searchItunes = async (term, media = 'all', page = 1, pageSize = APP_CONFIG.UI.RESULTS_PER_PAGE) => {
   try {
     const params = {
-      term: encodeURIComponent(term),
-      limit,
+      // axios encodes query parameters itself
+      term,
+      page,
+      pageSize,
     };
 
     // Add media type if not 'all'
@@ -89,14 +224,36 @@ export const searchItunes = async (term, media = 'all', limit = 50) => {
   }
 };
 
+/**
+ * Search several media types at once, one section per type
+ * @param {string} term - Search term
+ * @param {string[]} sections - Section keys (e.g. ['songs', 'movies']); the server default when empty
+ * @param {number} limit - Results per section
+ * @returns {Promise} Promise resolving to the sections
+ */
+export const searchFederated = async (term, sections = [], limit = 5) => {
+  try {
+    const params = { term, limit };
+    if (sections.length > 0) {
+      params.sections = sections.join(',');
+    }
+
+    const response = await api.get(API_ENDPOINTS.SEARCH.FEDERATED, { params });
+    return response;
+  } catch (error) {
+    console.error('Federated search failed:', error);
+    throw error;
+  }
+};
+
 /**
  * Get detailed information about a specific item
- * @param {string} itemId - iTunes item ID
- * @returns {Promise} Promise resolving to item details
+ * @param {string} itemId - Item id (e.g. "track:1440857781") or iTunes item ID
+ * @returns {Promise} Promise resolving to the item and its children
  */
 export const getItemDetails = async (itemId) => {
   try {
-    const response = await api.get(`/item/${itemId}`);
+    const response = await api.get(API_ENDPOINTS.ITEMS.DETAILS.replace(':id', encodeURIComponent(itemId)));
     return response;
   } catch (error) {
     console.error('Failed to get item details:', error);
@@ -104,6 +261,21 @@ export const getItemDetails = async (itemId) => {
   }
 };
 
+/**
+ * Get items related to a specific item
+ * @param {string} itemId - Item id (e.g. "track:1440857781") or iTunes item ID
+ * @returns {Promise} Promise resolving to related items
+ */
+export const getRelatedItems = async (itemId) => {
+  try {
+    const response = await api.get(API_ENDPOINTS.ITEMS.RELATED.replace(':id', encodeURIComponent(itemId)));
+    return response;
+  } catch (error) {
+    console.error('Failed to get related items:', error);
+    throw error;
+  }
+};
+
 /**
  * Save search history (if backend supports it)
  * @param {string} term - Search term
@@ -0,0 +1,75 @@
+/**
+ * Favorites Storage
+ * Keeps favorites in localStorage and upgrades favorites saved with older item ids
+ */
+
+import { STORAGE_KEYS } from '../utils/constants';
+
+// Apple's id field for each item type (others use trackId, then collectionId)
+const ID_FIELDS = {
+  artist: ['artistId'],
+  collection: ['collectionId'],
+};
+
+/**
+ * Work out an item's type the way the backend does
+ * @param {Object} item - Favorite item
+ * @returns {string} - Item type
+ */
+const getItemType = (item) => {
+  if (item.wrapperType === 'artist') return 'artist';
+  if (item.kind === 'podcast' || item.kind === 'podcast-episode') return 'podcast';
+  if (item.wrapperType === 'software' || item.kind === 'software' || item.kind === 'mac-software') return 'software';
+  if (item.kind === 'ebook') return 'ebook';
+  if (item.wrapperType === 'collection' || item.wrapperType === 'audiobook') return 'collection';
+  return 'track';
+};
+
+/**
+ * Give a favorite saved before ids were namespaced (e.g. 123 instead of "track:123") its new id
+ * Favorites whose old id was made up on the spot keep it, under a "legacy-" prefix
+ * @param {Object} item - Stored favorite
+ * @returns {Object} - Favorite with a namespaced uniqueId
+ */
+const migrateFavorite = (item) => {
+  if (typeof item.uniqueId === 'string' && item.uniqueId.includes(':')) return item;
+
+  const type = getItemType(item);
+  const itunesId = (ID_FIELDS[type] || ['trackId', 'collectionId']).map(field => item[field]).find(Boolean);
+  const uniqueId = itunesId ? `${type}:${itunesId}` : `${type}:legacy-${item.uniqueId ?? Date.now()}`;
+
+  return { ...item, uniqueId };
+};
+
+/**
+ * Read stored favorites, upgrading old ids and dropping duplicates
+ * @returns {Array} - Favorites in the order they were added
+ */
+export const loadFavorites = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.FAVORITES) || '[]');
+    if (!Array.isArray(stored)) return [];
+
+    const seen = new Set();
+    return stored.map(migrateFavorite).filter(item => {
+      if (seen.has(item.uniqueId)) return false;
+      seen.add(item.uniqueId);
+      return true;
+    });
+  } catch (error) {
+    console.error('Could not read stored favorites:', error);
+    return [];
+  }
+};
+
+/**
+ * Store favorites
+ * @param {Array} favorites - Favorites in the order they were added
+ */
+export const saveFavorites = (favorites) => {
+  try {
+    localStorage.setItem(STORAGE_KEYS.FAVORITES, JSON.stringify(favorites));
+  } catch (error) {
+    console.error('Could not store favorites:', error);
+  }
+};
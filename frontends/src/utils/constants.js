@@ -79,6 +79,7 @@ export const APP_CONFIG = {
 // Local Storage Keys
 export const STORAGE_KEYS = {
   AUTH_TOKEN: 'authToken',
+  REFRESH_TOKEN: 'refreshToken',
   FAVORITES: 'itunes_favorites',
   SEARCH_HISTORY: 'itunes_search_history',
   USER_PREFERENCES: 'itunes_user_preferences',
@@ -125,11 +126,15 @@ export const API_ENDPOINTS = {
   AUTH: {
     TOKEN: '/auth/token',
     REFRESH: '/auth/refresh',
-    LOGOUT: '/auth/logout'
+    VERIFY: '/auth/verify',
+    SSO_LOGIN: '/auth/oidc/login',
+    LOGOUT: '/auth/logout',
+    LOGOUT_ALL: '/auth/logout-all'
   },
 
   SEARCH: {
     ITUNES: '/search',
+    FEDERATED: '/search/federated',
     SUGGESTIONS: '/search/suggestions',
     HISTORY: '/search/history'
   },